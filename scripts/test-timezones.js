@@ -0,0 +1,24 @@
+/**
+ * Run the calendar date tests once per time zone
+ * TZ has to be set before Node starts, so each zone gets its own Jest run.
+ * Usage: npm run test:timezones
+ */
+const { spawnSync } = require('child_process');
+
+// Far west, far east, half-hour offsets and zones with daylight saving
+const TIME_ZONES = ['UTC', 'America/Los_Angeles', 'Pacific/Pago_Pago', 'Asia/Kolkata', 'Pacific/Kiritimati', 'Europe/London'];
+
+const failed = TIME_ZONES.filter(timeZone => {
+  console.log(`\nCalendar date tests with TZ=${timeZone}`);
+  const result = spawnSync(
+    'npx',
+    ['react-scripts', 'test', '--watchAll=false', 'src/utils/calendarDate'],
+    { stdio: 'inherit', env: { ...process.env, TZ: timeZone, CI: 'true' } }
+  );
+  return result.status !== 0;
+});
+
+if (failed.length > 0) {
+  console.error(`\nCalendar date tests failed with TZ=${failed.join(', ')}`);
+  process.exit(1);
+}
@@ -1,11 +1,91 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useRef, useEffect } from 'react';
 import SearchForm from './components/SearchForm';
 import TicketCard from './components/TicketCard';
 import LoadingSpinner from './components/LoadingSpinner';
 import ErrorMessage from './components/ErrorMessage';
-import { searchFlights } from './services/apiServices';
+import DateStrip from './components/DateStrip';
+import FareCalendar from './components/FareCalendar';
+import PriceHistoryChart from './components/PriceHistoryChart';
+import PriceAlertsPanel from './components/PriceAlertsPanel';
+import { searchFlexibleDates, searchFlights, searchMultiCity, isCancelledRequest } from './services/apiServices';
+import { formatDate, formatPassengerSummary, getRelativeTime } from './utils/helpers';
+import {
+  formatConverted,
+  getDefaultDisplayCurrency,
+  getSupportedCurrencies,
+  isSupportedCurrency,
+  loadExchangeRates
+} from './services/currency';
+import {
+  addPriceAlert,
+  describePriceAlert,
+  getAlertSearchParams,
+  getPriceAlerts,
+  notifyPriceDrop,
+  removePriceAlert,
+  requestNotificationPermission,
+  startPriceAlertChecks,
+  updatePriceAlert
+} from './services/priceAlerts';
+import {
+  clearSearchHistory,
+  getSavedSearches,
+  pinSearch,
+  recordSearch,
+  removeSavedSearch
+} from './services/savedSearches';
+import { ERROR_CODES } from './services/errors';
+import { createStore } from './services/storage';
 import './styles/App.css';
 
+/**
+ * Get a ticket's price as a number
+ * @param {Object} ticket - Ticket object
+ * @returns {number} Numeric price
+ */
+const getTicketPrice = (ticket) => {
+  const price = typeof ticket.price === 'string'
+    ? parseFloat(ticket.price.replace(/[^0-9.]/g, ''))
+    : ticket.price;
+  return price || 0;
+};
+
+/**
+ * Cheapest fare a search found, for its saved search chip
+ * A flexible-date search counts every day in its window; a multi-city one
+ * adds up each leg's cheapest ticket, like the itinerary total.
+ * @param {Array} results - Tickets shown for the search
+ * @param {Array} groups - Multi-city leg groups, empty otherwise
+ * @param {Array} days - Flexible-date days, empty otherwise
+ * @returns {number|null} Fare in the base currency, or null if there's none
+ */
+const getCheapestFare = (results, groups, days) => {
+  if (days.length > 0) {
+    const prices = days.map(day => day.cheapestPrice).filter(price => price !== null);
+    return prices.length > 0 ? Math.min(...prices) : null;
+  }
+
+  if (groups.length > 0) {
+    const cheapestByLeg = groups.map(group => {
+      const prices = results.filter(ticket => ticket.legIndex === group.index).map(getTicketPrice);
+      return prices.length > 0 ? Math.min(...prices) : null;
+    });
+    return cheapestByLeg.includes(null) ? null : cheapestByLeg.reduce((sum, price) => sum + price, 0);
+  }
+
+  return results.length > 0 ? Math.min(...results.map(getTicketPrice)) : null;
+};
+
+const preferences = createStore('preferences');
+
+/**
+ * Whether the browser may show notifications
+ * @returns {string} 'granted', 'denied', 'default' or 'unsupported'
+ */
+const getNotificationPermission = () => (
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+);
+
 /**
  * Enhanced App component with advanced filtering and modern UX
  * Features: Advanced filters, sorting, price alerts, and superior design
@@ -17,6 +97,19 @@ function App() {
   const [error, setError] = useState(null);
   const [hasSearched, setHasSearched] = useState(false);
   const [searchParams, setSearchParams] = useState(null);
+  const [legGroups, setLegGroups] = useState([]);
+  const [dateOptions, setDateOptions] = useState([]);
+  const [priceHistory, setPriceHistory] = useState([]);
+  const [cacheStatus, setCacheStatus] = useState(null);
+  const [retryStatus, setRetryStatus] = useState(null);
+  const [displayCurrency, setDisplayCurrency] = useState(getDefaultDisplayCurrency);
+  const [rateTable, setRateTable] = useState(null);
+  const [priceAlerts, setPriceAlerts] = useState([]);
+  const [showPriceAlerts, setShowPriceAlerts] = useState(false);
+  const [triggeredAlerts, setTriggeredAlerts] = useState([]);
+  const [isCheckingAlerts, setIsCheckingAlerts] = useState(false);
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+  const [savedSearches, setSavedSearches] = useState({ pinned: [], history: [] });
 
   // Filter states
   const [filters, setFilters] = useState({
@@ -26,42 +119,336 @@ function App() {
     sortBy: 'price'
   });
 
+  // Only the latest search may touch results; older ones are aborted
+  const searchControllerRef = useRef(null);
+  const latestSearchIdRef = useRef(0);
+
+  // Abort any in-flight search when the app unmounts
+  useEffect(() => () => searchControllerRef.current?.abort(), []);
+
+  // Alert checks run for as long as the app is open, so the currency is read through a ref
+  const alertChecksRef = useRef(null);
+  const displayCurrencyRef = useRef(displayCurrency);
+  displayCurrencyRef.current = displayCurrency;
+
+  // Load saved price alerts and re-check them on a schedule
+  useEffect(() => {
+    let isMounted = true;
+
+    getPriceAlerts().then(alerts => {
+      if (isMounted) setPriceAlerts(alerts);
+    });
+
+    const checks = startPriceAlertChecks(async triggered => {
+      const alerts = await getPriceAlerts();
+      if (!isMounted) return;
+
+      setPriceAlerts(alerts);
+      if (triggered.length > 0) {
+        setTriggeredAlerts(prev => [
+          ...prev.filter(alert => !triggered.some(drop => drop.id === alert.id)),
+          ...triggered
+        ]);
+        triggered.forEach(alert => notifyPriceDrop(alert, displayCurrencyRef.current));
+      }
+    });
+    alertChecksRef.current = checks;
+
+    return () => {
+      isMounted = false;
+      checks.stop();
+    };
+  }, []);
+
+  // Load exchange rates, the saved display currency and saved searches
+  useEffect(() => {
+    let isMounted = true;
+
+    loadExchangeRates().then(table => {
+      if (isMounted) setRateTable(table);
+    });
+    preferences.get('displayCurrency')
+      .then(currency => {
+        if (isMounted && currency && isSupportedCurrency(currency)) {
+          setDisplayCurrency(currency);
+        }
+      })
+      .catch(() => {});
+
+    getSavedSearches().then(searches => {
+      if (isMounted) setSavedSearches(searches);
+    });
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  /**
+   * Change and remember the currency prices are shown in
+   * @param {string} currency - ISO currency code
+   */
+  const changeDisplayCurrency = (currency) => {
+    setDisplayCurrency(currency);
+    preferences.set('displayCurrency', currency).catch(() => {});
+  };
+
+  /**
+   * Format a base-currency amount for the header and filters
+   * @param {number} amount - Amount in the base currency
+   */
+  const formatDisplayPrice = (amount) => (
+    formatConverted(amount, displayCurrency, { maximumFractionDigits: 0 })
+  );
+
+  /**
+   * Show a new set of tickets, fitting the price filter to them
+   * @param {Array} results - Tickets to show
+   */
+  const showTickets = (results) => {
+    setTickets(results);
+
+    if (results.length > 0) {
+      const prices = results.map(getTicketPrice);
+      setFilters(prev => ({
+        ...prev,
+        priceRange: [Math.min(...prices), Math.max(...prices)]
+      }));
+    }
+  };
+
   /**
    * Handle search form submission
+   * Starting a search cancels the one in flight, and results or errors from
+   * a superseded search are dropped, so a slow older response can't replace
+   * newer results.
    * @param {Object} searchParams - Search parameters from the form
+   * @param {Object} [options] - Search options, e.g. { forceRefresh: true }
    */
-  const handleSearch = async (searchParams) => {
+  const handleSearch = async (searchParams, options = {}) => {
+    searchControllerRef.current?.abort();
+    const controller = new AbortController();
+    const searchId = ++latestSearchIdRef.current;
+    const isLatestSearch = () => searchId === latestSearchIdRef.current;
+    searchControllerRef.current = controller;
+
     setIsLoading(true);
     setError(null);
-    setHasSearched(true);
-    setSearchParams(searchParams);
+    setRetryStatus(null);
+
+    let searchCacheStatus = null;
+    let searchPriceHistory = [];
+    const searchOptions = {
+      ...options,
+      signal: controller.signal,
+      onCacheStatus: status => {
+        searchCacheStatus = status;
+      },
+      onPriceHistory: history => {
+        searchPriceHistory = history;
+      },
+      onAttempt: status => {
+        // Only retries are worth showing; first attempts are the normal case
+        if (isLatestSearch() && status.attempt > 1) {
+          setRetryStatus(status);
+        }
+      }
+    };
 
     try {
       // Call API service to search for flights
-      const results = await searchFlights(searchParams);
-      setTickets(results);
-      
-      // Update price range filter based on actual results
-      if (results.length > 0) {
-        const prices = results.map(ticket => {
-          const price = typeof ticket.price === 'string' 
-            ? parseFloat(ticket.price.replace(/[^0-9.]/g, '')) 
-            : ticket.price;
-          return price || 0;
-        });
-        const minPrice = Math.min(...prices);
-        const maxPrice = Math.max(...prices);
-        setFilters(prev => ({
-          ...prev,
-          priceRange: [minPrice, maxPrice]
-        }));
+      let results;
+      let groups = [];
+      let days = [];
+      if (searchParams.tripType === 'multi-city') {
+        // Each leg has its own history, so none is charted
+        const legResults = await searchMultiCity(searchParams, { ...searchOptions, onPriceHistory: undefined });
+        results = legResults.flatMap(group => group.tickets);
+        groups = legResults.map(({ tickets, ...group }) => group);
+      } else if (Number(searchParams.flexibleDays) > 0) {
+        // Every day in the window comes back with its tickets; show the chosen one
+        days = await searchFlexibleDates(searchParams, searchOptions);
+        const chosenDay = days.find(day => day.date === searchParams.departureDate);
+        results = chosenDay ? chosenDay.tickets : [];
+        searchCacheStatus = chosenDay ? chosenDay.cacheStatus : null;
+        searchPriceHistory = chosenDay ? chosenDay.priceHistory : [];
+      } else {
+        results = await searchFlights(searchParams, searchOptions);
       }
+
+      if (!isLatestSearch()) return;
+
+      setHasSearched(true);
+      setSearchParams(searchParams);
+      setCacheStatus(searchCacheStatus);
+      setLegGroups(groups);
+      setDateOptions(days);
+      setPriceHistory(searchPriceHistory);
+      showTickets(results);
+      recordSearch(searchParams, getCheapestFare(results, groups, days)).then(setSavedSearches);
     } catch (err) {
-      setError(err.message);
+      if (!isLatestSearch() || isCancelledRequest(err)) return;
+
+      // A search with no flights is still one the user may want to run again
+      if (err.code === ERROR_CODES.NOT_FOUND) {
+        recordSearch(searchParams, null).then(setSavedSearches);
+      }
+
+      setHasSearched(true);
+      setSearchParams(searchParams);
+      setCacheStatus(null);
+      setError(err);
       setTickets([]);
+      setLegGroups([]);
+      setDateOptions([]);
+      setPriceHistory([]);
     } finally {
-      setIsLoading(false);
+      if (isLatestSearch()) {
+        setIsLoading(false);
+        setRetryStatus(null);
+        searchControllerRef.current = null;
+      }
+    }
+  };
+
+  /**
+   * Re-run the failed search with an airport the user picked
+   * The chosen code replaces what was typed for that field and is marked as
+   * confirmed, so it's searched as-is even if it isn't in our airport list.
+   * @param {Object} resolution - { field, legIndex } from the AirportUnresolvedError
+   * @param {string} code - IATA code the user chose
+   */
+  const chooseAirport = (resolution, code) => {
+    if (!searchParams) return;
+
+    const { field, legIndex } = resolution;
+    const nextParams = {
+      ...searchParams,
+      confirmedAirports: [...(searchParams.confirmedAirports || []), code]
+    };
+
+    if (legIndex !== undefined && searchParams.legs) {
+      nextParams.legs = searchParams.legs.map((leg, index) => (
+        index === legIndex ? { ...leg, [field]: code } : leg
+      ));
+    } else {
+      nextParams[field] = code;
     }
+
+    handleSearch(nextParams);
+  };
+
+  /**
+   * Show the tickets for another day of a flexible-date search
+   * They were fetched with the rest of the window, so this doesn't search again.
+   * @param {Object} day - Entry from searchFlexibleDates
+   */
+  const selectFlexibleDate = (day) => {
+    setSearchParams(prev => ({
+      ...prev,
+      departureDate: day.date,
+      returnDate: day.returnDate || prev.returnDate
+    }));
+    setCacheStatus(day.cacheStatus);
+    setPriceHistory(day.priceHistory);
+    showTickets(day.tickets);
+  };
+
+  /**
+   * Run the full search for a day picked in the fare calendar
+   * @param {string} departureDate - Day that was clicked
+   * @param {string} returnDate - Matching return date for round trips
+   */
+  const searchCalendarDate = (departureDate, returnDate) => {
+    if (!searchParams) return;
+
+    handleSearch({
+      ...searchParams,
+      departureDate,
+      returnDate: returnDate || searchParams.returnDate
+    });
+  };
+
+  /**
+   * Save a price alert for a ticket's route, dates and class
+   * Multi-city tickets watch their own leg as a one-way trip.
+   * @param {Object} ticket - Ticket the 🔔 was clicked on
+   * @param {number} targetPrice - Fare to beat, in the base currency
+   */
+  const createPriceAlert = async (ticket, targetPrice) => {
+    // Asked before anything is awaited, while the click still counts as the user's
+    requestNotificationPermission().then(setNotificationPermission);
+
+    const leg = ticket.legIndex !== undefined ? searchParams.legs[ticket.legIndex] : searchParams;
+    const alert = await addPriceAlert({
+      origin: ticket.origin.code,
+      destination: ticket.destination.code,
+      tripType: ticket.inbound ? 'round-trip' : 'one-way',
+      departureDate: leg.departureDate,
+      returnDate: ticket.inbound ? searchParams.returnDate : '',
+      passengers: searchParams.passengers,
+      travelClass: searchParams.travelClass,
+      classLabel: ticket.class,
+      targetPrice
+    });
+    setPriceAlerts(prev => [...prev, alert]);
+  };
+
+  /**
+   * Change a saved price alert
+   * @param {string} id - Alert id
+   * @param {Object} changes - e.g. { targetPrice } or { active }
+   */
+  const changePriceAlert = (id, changes) => {
+    updatePriceAlert(id, changes)
+      .then(updated => {
+        if (updated) {
+          setPriceAlerts(prev => prev.map(alert => (alert.id === id ? updated : alert)));
+        }
+      })
+      .catch(() => {});
+  };
+
+  /**
+   * Delete a saved price alert
+   * @param {string} id - Alert id
+   */
+  const deletePriceAlert = (id) => {
+    removePriceAlert(id)
+      .then(() => {
+        setPriceAlerts(prev => prev.filter(alert => alert.id !== id));
+        setTriggeredAlerts(prev => prev.filter(alert => alert.id !== id));
+      })
+      .catch(() => {});
+  };
+
+  /**
+   * Check every active alert now instead of waiting for the schedule
+   */
+  const checkPriceAlertsNow = async () => {
+    setIsCheckingAlerts(true);
+    await alertChecksRef.current?.checkNow();
+    setIsCheckingAlerts(false);
+  };
+
+  /**
+   * Search the flights an alert watches
+   * @param {Object} alert - PriceAlert
+   */
+  const searchPriceAlert = (alert) => {
+    setTriggeredAlerts(prev => prev.filter(drop => drop.id !== alert.id));
+    handleSearch(getAlertSearchParams(alert));
+  };
+
+  /**
+   * Cancel the search in flight and keep whatever was shown before it
+   */
+  const cancelSearch = () => {
+    searchControllerRef.current?.abort();
+    searchControllerRef.current = null;
+    latestSearchIdRef.current += 1;
+    setIsLoading(false);
+    setRetryStatus(null);
   };
 
   /**
@@ -190,17 +577,64 @@ function App() {
     return [Math.min(...prices), Math.max(...prices)];
   }, [tickets]);
 
+  /**
+   * Cheapest fare per multi-city leg after filters, and their total
+   * The total is null while any leg has no matching flight.
+   */
+  const multiCityPricing = useMemo(() => {
+    if (!legGroups.length) return null;
+
+    const cheapestByLeg = legGroups.map(group => {
+      const prices = filteredTickets
+        .filter(ticket => ticket.legIndex === group.index)
+        .map(getTicketPrice);
+      return prices.length ? Math.min(...prices) : null;
+    });
+    const total = cheapestByLeg.some(price => price === null)
+      ? null
+      : cheapestByLeg.reduce((sum, price) => sum + price, 0);
+
+    return { cheapestByLeg, total };
+  }, [legGroups, filteredTickets]);
+
+  /**
+   * Describe how old cached results are
+   * @param {number} cachedAt - Cache timestamp in milliseconds
+   */
+  const getCacheAge = (cachedAt) => {
+    const age = getRelativeTime(new Date(cachedAt).toISOString());
+    return age === 'now' ? 'just now' : age;
+  };
+
+  // The flexible-date day whose tickets are shown
+  const selectedDateOption = searchParams
+    ? dateOptions.find(day => day.date === searchParams.departureDate)
+    : undefined;
+
   /**
    * Get search summary text
    */
   const getSearchSummary = () => {
     if (!searchParams) return '';
     
-    const { origin, destination, departureDate, tripType, passengers } = searchParams;
-    const passengerText = passengers === 1 ? '1 passenger' : `${passengers} passengers`;
-    const tripText = tripType === 'one-way' ? 'One-way' : 'Round-trip';
+    const { origin, destination, departureDate, returnDate, tripType, passengers, legs, nearbyRadiusKm } = searchParams;
+    const passengerText = formatPassengerSummary(passengers);
+    const nearbyText = Number(nearbyRadiusKm) > 0 ? `, including airports within ${nearbyRadiusKm} km` : '';
+    const flexibleDays = Number(searchParams.flexibleDays);
+    const flexibleText = dateOptions.length > 0 ? ` (±${flexibleDays} day${flexibleDays === 1 ? '' : 's'})` : '';
+    
+    if (tripType === 'multi-city') {
+      const route = legs
+        .map(leg => `${leg.origin} → ${leg.destination} on ${leg.departureDate}`)
+        .join(', ');
+      return `Multi-city: ${route} for ${passengerText}${nearbyText}`;
+    }
+    
+    if (tripType === 'round-trip') {
+      return `Round-trip from ${origin} to ${destination} on ${departureDate}, returning ${returnDate}${flexibleText} for ${passengerText}${nearbyText}`;
+    }
     
-    return `${tripText} from ${origin} to ${destination} on ${departureDate} for ${passengerText}`;
+    return `One-way from ${origin} to ${destination} on ${departureDate}${flexibleText} for ${passengerText}${nearbyText}`;
   };
 
   return (
@@ -209,36 +643,133 @@ function App() {
       <header className="app-header">
         <h1>✈️ Flight Ticket Compare</h1>
         <p>Find and compare the best flight deals across multiple airlines</p>
+        <button
+          className="alerts-toggle"
+          onClick={() => setShowPriceAlerts(!showPriceAlerts)}
+          aria-expanded={showPriceAlerts}
+        >
+          🔔 Price alerts{priceAlerts.length > 0 ? ` (${priceAlerts.length})` : ''}
+        </button>
       </header>
 
       {/* Main content area */}
       <main className="app-main">
+        {/* Fares that dropped below an alert's target */}
+        {triggeredAlerts.map(alert => (
+          <div key={alert.id} className="price-alert-banner" role="alert">
+            <p>
+              <strong>Price drop:</strong> {describePriceAlert(alert)} is now {formatDisplayPrice(alert.lastPrice)},
+              below your {formatDisplayPrice(alert.targetPrice)} target.
+            </p>
+            <button onClick={() => searchPriceAlert(alert)}>View flights</button>
+            <button
+              onClick={() => setTriggeredAlerts(prev => prev.filter(drop => drop.id !== alert.id))}
+              aria-label="Dismiss price drop"
+            >
+              Dismiss
+            </button>
+          </div>
+        ))}
+
+        {showPriceAlerts && (
+          <PriceAlertsPanel
+            alerts={priceAlerts}
+            displayCurrency={displayCurrency}
+            formatPrice={formatDisplayPrice}
+            onUpdate={changePriceAlert}
+            onRemove={deletePriceAlert}
+            onSearch={searchPriceAlert}
+            onCheckNow={checkPriceAlertsNow}
+            isChecking={isCheckingAlerts}
+            notificationPermission={notificationPermission}
+            onEnableNotifications={() => requestNotificationPermission().then(setNotificationPermission)}
+            onClose={() => setShowPriceAlerts(false)}
+          />
+        )}
+
         {/* Search form component */}
-        <SearchForm onSearch={handleSearch} />
+        <SearchForm
+          onSearch={handleSearch}
+          savedSearches={savedSearches}
+          onPinSearch={(entry, name) => pinSearch(entry, name).then(setSavedSearches)}
+          onRemoveSavedSearch={id => removeSavedSearch(id).then(setSavedSearches)}
+          onClearSearchHistory={() => clearSearchHistory().then(setSavedSearches)}
+          formatPrice={formatDisplayPrice}
+        />
+
+        {/* Month of fares for the searched route */}
+        {searchParams && searchParams.tripType !== 'multi-city' && (
+          <FareCalendar
+            searchParams={searchParams}
+            onSelectDate={searchCalendarDate}
+            formatPrice={formatDisplayPrice}
+          />
+        )}
 
         {/* Results section */}
         <div className="results-section">
-          {isLoading && <LoadingSpinner />}
-          {error && <ErrorMessage message={error} />}
+          {isLoading && <LoadingSpinner onCancel={cancelSearch} retryStatus={retryStatus} />}
+          {error && <ErrorMessage error={error} onChooseAirport={chooseAirport} />}
           
           {/* Display search results */}
           {hasSearched && !isLoading && !error && (
             <div className="results-container">
+              {dateOptions.length > 0 && (
+                <DateStrip
+                  days={dateOptions}
+                  selectedDate={searchParams.departureDate}
+                  onSelect={selectFlexibleDate}
+                  formatPrice={formatDisplayPrice}
+                />
+              )}
               {tickets.length > 0 ? (
                 <>
                   <div className="results-header">
                     <h2>Flight Search Results</h2>
                     <p className="search-summary">{getSearchSummary()}</p>
+                    {cacheStatus?.fromCache && (
+                      <div className="cache-status">
+                        <span>
+                          Showing saved results from {getCacheAge(cacheStatus.cachedAt)}
+                        </span>
+                        <button
+                          className="refresh-btn"
+                          onClick={() => handleSearch(searchParams, { forceRefresh: true })}
+                        >
+                          ↻ Refresh
+                        </button>
+                      </div>
+                    )}
                     <div className="results-stats">
                       <span className="results-count">
                         {filteredTickets.length} of {tickets.length} flights
                       </span>
+                      {multiCityPricing?.total !== null && multiCityPricing?.total !== undefined && (
+                        <span className="price-range">
+                          Itinerary from {formatDisplayPrice(multiCityPricing.total)}
+                        </span>
+                      )}
                       {priceRange[0] !== priceRange[1] && (
                         <span className="price-range">
-                          ${Math.round(priceRange[0])} - ${Math.round(priceRange[1])}
+                          {formatDisplayPrice(priceRange[0])} - {formatDisplayPrice(priceRange[1])}
                         </span>
                       )}
+                      <label className="currency-select">
+                        Show prices in
+                        <select
+                          value={displayCurrency}
+                          onChange={(e) => changeDisplayCurrency(e.target.value)}
+                          title={rateTable?.updatedAt
+                            ? `Exchange rates as of ${new Date(rateTable.updatedAt).toLocaleDateString()}`
+                            : undefined}
+                        >
+                          {getSupportedCurrencies().map(currency => (
+                            <option key={currency} value={currency}>{currency}</option>
+                          ))}
+                        </select>
+                      </label>
                     </div>
+                    <PriceHistoryChart history={priceHistory} formatPrice={formatDisplayPrice} />
                   </div>
 
                   {/* Filters Section */}
@@ -275,7 +806,7 @@ function App() {
                             onChange={(e) => updateFilter('priceRange', [filters.priceRange[0], parseInt(e.target.value)])}
                           />
                           <div className="price-display">
-                            ${Math.round(filters.priceRange[0])} - ${Math.round(filters.priceRange[1])}
+                            {formatDisplayPrice(filters.priceRange[0])} - {formatDisplayPrice(filters.priceRange[1])}
                           </div>
                         </div>
                       </div>
@@ -360,10 +891,52 @@ function App() {
                   </div>
 
                   {/* Flight Cards */}
-                  {filteredTickets.length > 0 ? (
+                  {legGroups.length > 0 ? (
+                    <div className="leg-groups">
+                      {legGroups.map(group => {
+                        const legTickets = filteredTickets.filter(ticket => ticket.legIndex === group.index);
+                        const cheapest = multiCityPricing.cheapestByLeg[group.index];
+
+                        return (
+                          <section key={group.index} className="leg-group">
+                            <div className="leg-group-header">
+                              <h3>Flight {group.index + 1}: {group.origin} → {group.destination}</h3>
+                              <span className="leg-group-date">{group.departureDate}</span>
+                              {cheapest !== null && (
+                                <span className="leg-group-price">from {formatDisplayPrice(cheapest)}</span>
+                              )}
+                            </div>
+                            {group.error ? (
+                              <p className="leg-group-message">{group.error}</p>
+                            ) : legTickets.length > 0 ? (
+                              <div className="tickets-grid">
+                                {legTickets.map(ticket => (
+                                  <TicketCard
+                                    key={ticket.id}
+                                    ticket={ticket}
+                                    displayCurrency={displayCurrency}
+                                    passengers={searchParams.passengers}
+                                    onCreateAlert={createPriceAlert}
+                                  />
+                                ))}
+                              </div>
+                            ) : (
+                              <p className="leg-group-message">No flights on this leg match your filters.</p>
+                            )}
+                          </section>
+                        );
+                      })}
+                    </div>
+                  ) : filteredTickets.length > 0 ? (
                     <div className="tickets-grid">
                       {filteredTickets.map((ticket, index) => (
-                        <TicketCard key={ticket.id || index} ticket={ticket} />
+                        <TicketCard
+                          key={ticket.id || index}
+                          ticket={ticket}
+                          displayCurrency={displayCurrency}
+                          passengers={searchParams.passengers}
+                          onCreateAlert={createPriceAlert}
+                        />
                       ))}
                     </div>
                   ) : (
@@ -380,6 +953,12 @@ function App() {
                     </div>
                   )}
                 </>
+              ) : selectedDateOption ? (
+                <div className="no-results">
+                  <div className="no-results-icon">📅</div>
+                  <h3>No flights on {formatDate(selectedDateOption.date)}</h3>
+                  <p>{selectedDateOption.error || 'Pick another day above to see its flights.'}</p>
+                </div>
               ) : (
                 <div className="no-results">
                   <div className="no-results-icon">🔍</div>
@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { debounce } from '../utils/helpers';
+import { getAirport, getAirportSuggestions, getMetroArea } from '../services/airports';
+import { getRecentAirports } from '../services/recentAirports';
+import '../styles/AirportInput.css';
+
+const SUGGESTION_DELAY_MS = 200;
+
+/**
+ * Lower-case a string and strip accents character by character, so indexes
+ * in the result still line up with the original
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text of the same length
+ */
+const foldText = (text) => Array.from(text, char => (
+  char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0) || char
+)).join('');
+
+/**
+ * Wrap the part of a text that matches the query in <mark>
+ * @param {string} text - Text to show
+ * @param {string} query - What the user typed
+ * @returns {React.ReactNode} Text with the first match highlighted
+ */
+const highlightMatch = (text, query) => {
+  const needle = foldText(query.trim());
+  const start = needle ? foldText(text).indexOf(needle) : -1;
+
+  if (start === -1) {
+    return text;
+  }
+
+  return (
+    <>
+      {text.slice(0, start)}
+      <mark>{text.slice(start, start + needle.length)}</mark>
+      {text.slice(start + needle.length)}
+    </>
+  );
+};
+
+/**
+ * AirportInput component: a text box with airport autocomplete
+ * Implements the ARIA combobox pattern. Suggestions are looked up as the user
+ * types (debounced) and show code, airport, city and country; airports from
+ * recent searches come first, and are all listed when the box is empty.
+ * Arrow keys move through the list, Enter picks, Escape closes.
+ * @param {string} id - Input id, also used to derive the list's ids
+ * @param {string} name - Field name reported through onChange
+ * @param {string} value - Current text
+ * @param {Function} onChange - Called with an input-like event { target: { name, value } }
+ * @param {string} [placeholder] - Placeholder text
+ * @param {boolean} [hasError] - Whether to show the error style
+ */
+const AirportInput = ({ id, name, value, onChange, placeholder, hasError = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [recentCodes, setRecentCodes] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const latestQueryRef = useRef('');
+  const listboxId = `${id}-listbox`;
+
+  // One debounced lookup per input; answers for outdated text are dropped
+  const lookupSuggestions = useMemo(() => debounce(async (query) => {
+    const results = await getAirportSuggestions(query);
+    if (latestQueryRef.current === query) {
+      setSuggestions(results);
+      setActiveIndex(-1);
+    }
+  }, SUGGESTION_DELAY_MS), []);
+
+  useEffect(() => {
+    latestQueryRef.current = value;
+    if (value.trim().length < 2) {
+      setSuggestions([]);
+      setActiveIndex(-1);
+      return;
+    }
+    lookupSuggestions(value);
+  }, [value, lookupSuggestions]);
+
+  // Recent airports, with matching ones pulled out of the suggestions
+  const sections = useMemo(() => {
+    if (value.trim().length < 2) {
+      const recent = recentCodes.map(code => getAirport(code) || getMetroArea(code)).filter(Boolean);
+      return recent.length > 0 ? [{ label: 'Recent airports', options: recent }] : [];
+    }
+
+    const recent = suggestions.filter(option => recentCodes.includes(option.code));
+    const others = suggestions.filter(option => !recentCodes.includes(option.code));
+    return [
+      { label: 'Recent airports', options: recent },
+      { label: 'Airports', options: others }
+    ].filter(section => section.options.length > 0);
+  }, [value, suggestions, recentCodes]);
+
+  const options = sections.flatMap(section => section.options);
+  const showList = isOpen && options.length > 0;
+  const getOptionId = (index) => `${id}-option-${index}`;
+
+  /**
+   * Open the list, refreshing recent airports
+   */
+  const openList = () => {
+    setIsOpen(true);
+    getRecentAirports().then(setRecentCodes);
+  };
+
+  /**
+   * Fill the input with a chosen airport
+   * @param {Object} option - Airport or suggestion
+   */
+  const selectOption = (option) => {
+    onChange({ target: { name, value: option.code } });
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  /**
+   * Keyboard navigation for the list
+   * @param {KeyboardEvent} e - Key event from the input
+   */
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (!isOpen) {
+          openList();
+        }
+        setActiveIndex(index => (options.length === 0 ? -1 : (index + 1) % options.length));
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(index => (options.length === 0 ? -1 : (index <= 0 ? options.length : index) - 1));
+        break;
+      case 'Enter':
+        // Only take over Enter when an option is highlighted; otherwise it submits the form
+        if (showList && activeIndex >= 0) {
+          e.preventDefault();
+          selectOption(options[activeIndex]);
+        }
+        break;
+      case 'Escape':
+        if (isOpen) {
+          e.preventDefault();
+          setIsOpen(false);
+          setActiveIndex(-1);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  let optionIndex = -1;
+
+  return (
+    <div className="airport-input">
+      <input
+        type="text"
+        id={id}
+        name={name}
+        value={value}
+        onChange={(e) => {
+          onChange(e);
+          setIsOpen(true);
+        }}
+        onFocus={openList}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        className={`form-input ${hasError ? 'error' : ''}`}
+        autoComplete="off"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls={listboxId}
+        aria-activedescendant={showList && activeIndex >= 0 ? getOptionId(activeIndex) : undefined}
+      />
+
+      {showList && (
+        <ul id={listboxId} className="airport-listbox" role="listbox">
+          {sections.map(section => (
+            <React.Fragment key={section.label}>
+              <li className="airport-section-label" role="presentation">{section.label}</li>
+              {section.options.map(option => {
+                optionIndex += 1;
+                const index = optionIndex;
+                return (
+                  <li
+                    key={option.code}
+                    id={getOptionId(index)}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    className={`airport-option ${index === activeIndex ? 'active' : ''}`}
+                    // Keep focus in the input so blur doesn't close the list before the click lands
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => selectOption(option)}
+                    onMouseEnter={() => setActiveIndex(index)}
+                  >
+                    <span className="airport-option-code">{highlightMatch(option.code, value)}</span>
+                    <span className="airport-option-details">
+                      <span className="airport-option-name">{highlightMatch(option.name, value)}</span>
+                      <span className="airport-option-place">
+                        {highlightMatch(option.city, value)}, {highlightMatch(option.country, value)}
+                      </span>
+                    </span>
+                  </li>
+                );
+              })}
+            </React.Fragment>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AirportInput;
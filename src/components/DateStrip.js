@@ -0,0 +1,59 @@
+import React from 'react';
+import { formatDate } from '../utils/helpers';
+import '../styles/DateStrip.css';
+
+/**
+ * DateStrip component: the cheapest fare for each day of a flexible-date search
+ * Days are laid out left to right; the cheapest one is marked, and clicking a
+ * day shows that day's tickets.
+ * @param {Array} days - Entries from searchFlexibleDates:
+ *   { date, returnDate, offset, tickets, cheapestPrice, error }
+ * @param {string} selectedDate - Departure date whose tickets are shown
+ * @param {Function} onSelect - Called with the day that was clicked
+ * @param {Function} formatPrice - Formats a base-currency amount for display
+ */
+const DateStrip = ({ days, selectedDate, onSelect, formatPrice }) => {
+  const prices = days.map(day => day.cheapestPrice).filter(price => price !== null);
+  const lowestPrice = prices.length > 0 ? Math.min(...prices) : null;
+
+  /**
+   * Describe a day's fare
+   * @param {Object} day - Entry from searchFlexibleDates
+   * @returns {string} Cheapest price, or why there isn't one
+   */
+  const getDayPrice = (day) => {
+    if (day.cheapestPrice !== null) return formatPrice(day.cheapestPrice);
+    return day.error ? 'Unavailable' : 'No flights';
+  };
+
+  return (
+    <div className="date-strip" role="group" aria-label="Cheapest fare by day">
+      {days.map(day => {
+        const isSelected = day.date === selectedDate;
+        const isLowest = lowestPrice !== null && day.cheapestPrice === lowestPrice;
+
+        return (
+          <button
+            key={day.date}
+            type="button"
+            className={`date-strip-day ${isSelected ? 'selected' : ''} ${isLowest ? 'lowest' : ''}`}
+            aria-pressed={isSelected}
+            onClick={() => onSelect(day)}
+            title={day.error || undefined}
+          >
+            <span className="date-strip-date">{formatDate(day.date)}</span>
+            {day.returnDate && (
+              <span className="date-strip-return">back {formatDate(day.returnDate)}</span>
+            )}
+            <span className={`date-strip-price ${day.cheapestPrice === null ? 'empty' : ''}`}>
+              {getDayPrice(day)}
+            </span>
+            {isLowest && <span className="date-strip-badge">Lowest</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DateStrip;
@@ -1,13 +1,64 @@
 import React from 'react';
+import { ERROR_CODES, getErrorCode } from '../services/errors';
+
+/**
+ * Icon and advice for each error code
+ */
+const ERROR_DISPLAY = {
+  [ERROR_CODES.VALIDATION]: {
+    icon: '📝',
+    suggestion: 'Please check your search details and try again.'
+  },
+  [ERROR_CODES.AIRPORT_UNRESOLVED]: {
+    icon: '📍',
+    suggestion: 'Pick the airport you meant, check the spelling, or use 3-letter airport codes (e.g., LAX, JFK, LHR).'
+  },
+  [ERROR_CODES.QUOTA]: {
+    icon: '⚙️',
+    suggestion: 'The flight data quota for this app has run out. Please contact support for assistance.'
+  },
+  [ERROR_CODES.AUTH]: {
+    icon: '🔒',
+    suggestion: 'There was an authentication issue. Please refresh the page or contact support.'
+  },
+  [ERROR_CODES.RATE_LIMIT]: {
+    icon: '🚦',
+    suggestion: 'The flight service is busy. Please wait a minute before searching again.'
+  },
+  [ERROR_CODES.NOT_FOUND]: {
+    icon: '🔍',
+    suggestion: 'Try adjusting your search criteria, nearby airports or different dates.'
+  },
+  [ERROR_CODES.UPSTREAM_DOWN]: {
+    icon: '🛠️',
+    suggestion: 'The flight service is having problems. Please try again in a few minutes.'
+  },
+  [ERROR_CODES.TIMEOUT]: {
+    icon: '⏱️',
+    suggestion: 'The search is taking longer than usual. Please try again.'
+  },
+  [ERROR_CODES.NETWORK]: {
+    icon: '🌐',
+    suggestion: 'Please check your internet connection and try again.'
+  },
+  [ERROR_CODES.UNKNOWN]: {
+    icon: '⚠️',
+    suggestion: 'Please try again or contact support if the problem persists.'
+  }
+};
 
 /**
  * ErrorMessage component to display error messages to users
  * Provides user-friendly error feedback with helpful suggestions
  * Sanitizes error messages to prevent exposure of sensitive information
+ * The icon and suggestion come from the error's code (see services/errors),
+ * never from its wording.
  * @param {string|Error} error - Error message or Error object to display
  * @param {boolean} enableConsoleLog - Whether to log errors to console (default: false)
+ * @param {Function} [onChooseAirport] - Called with (resolution, code) when the
+ *   user picks one of an AirportUnresolvedError's candidates
  */
-const ErrorMessage = ({ error, enableConsoleLog = false }) => {
+const ErrorMessage = ({ error, enableConsoleLog = false, onChooseAirport }) => {
   /**
    * Sanitize URLs to remove API keys and sensitive parameters
    * @param {string} url - URL that might contain sensitive information
@@ -181,69 +232,58 @@ const ErrorMessage = ({ error, enableConsoleLog = false }) => {
     return message || 'An unexpected error occurred';
   };
 
-  /**
-   * Get appropriate icon based on error type
-   * @param {string} message - Error message
-   */
-  const getErrorIcon = (message) => {
-    const lowerMessage = message.toLowerCase();
-    
-    if (lowerMessage.includes('network') || lowerMessage.includes('connection')) {
-      return '🌐';
-    }
-    if (lowerMessage.includes('not found') || lowerMessage.includes('404')) {
-      return '🔍';
-    }
-    if (lowerMessage.includes('timeout')) {
-      return '⏱️';
-    }
-    if (lowerMessage.includes('authentication') || lowerMessage.includes('unauthorized')) {
-      return '🔒';
-    }
-    if (lowerMessage.includes('configuration')) {
-      return '⚙️';
-    }
-    return '⚠️';
-  };
+  // Sanitize the error message
+  const sanitizedMessage = sanitizeErrorMessage(error);
+  const errorCode = getErrorCode(error);
+  const display = ERROR_DISPLAY[errorCode] || ERROR_DISPLAY[ERROR_CODES.UNKNOWN];
+  const airportChoices = onChooseAirport && errorCode === ERROR_CODES.AIRPORT_UNRESOLVED
+    ? (error.resolutions || []).filter(resolution => resolution.candidates.length > 0)
+    : [];
 
   /**
-   * Get helpful suggestion based on error type
-   * @param {string} message - Error message
+   * Describe a candidate airport for its choice button
+   * @param {Object} candidate - Candidate from getAirportCandidates
+   * @returns {string} e.g. "Heathrow Airport, London, United Kingdom"
    */
-  const getErrorSuggestion = (message) => {
-    const lowerMessage = message.toLowerCase();
-    
-    if (lowerMessage.includes('network') || lowerMessage.includes('connection')) {
-      return 'Please check your internet connection and try again.';
-    }
-    if (lowerMessage.includes('not found')) {
-      return 'Try adjusting your search criteria or check your spelling.';
-    }
-    if (lowerMessage.includes('timeout')) {
-      return 'The search is taking longer than usual. Please try again.';
-    }
-    if (lowerMessage.includes('authentication') || lowerMessage.includes('api')) {
-      return 'There was an authentication issue. Please refresh the page or contact support.';
-    }
-    if (lowerMessage.includes('configuration')) {
-      return 'There appears to be a configuration issue. Please contact support for assistance.';
-    }
-    return 'Please try again or contact support if the problem persists.';
-  };
-
-  // Sanitize the error message
-  const sanitizedMessage = sanitizeErrorMessage(error);
+  const describeCandidate = ({ airport }) => (
+    airport
+      ? [airport.name, airport.city, airport.country].filter(Boolean).join(', ')
+      : 'Airport code not in our list'
+  );
 
   return (
     <div className="error-container">
-      <div className="error-message">
+      <div className="error-message" data-error-code={errorCode}>
         <div className="error-icon">
-          {getErrorIcon(sanitizedMessage)}
+          {display.icon}
         </div>
         <div className="error-content">
           <h3>Oops! Something went wrong</h3>
           <p className="error-text">{sanitizedMessage}</p>
-          <p className="error-suggestion">{getErrorSuggestion(sanitizedMessage)}</p>
+          <p className="error-suggestion">{display.suggestion}</p>
+
+          {airportChoices.map(resolution => (
+            <div key={`${resolution.legIndex ?? ''}-${resolution.field}`} className="airport-choices">
+              <h4>
+                Did you mean{resolution.legIndex !== undefined ? ` (flight ${resolution.legIndex + 1} ${resolution.field})` : ''}…
+              </h4>
+              <ul>
+                {resolution.candidates.map(candidate => (
+                  <li key={candidate.code}>
+                    <button
+                      type="button"
+                      className="airport-choice"
+                      onClick={() => onChooseAirport(resolution, candidate.code)}
+                    >
+                      <span className="airport-choice-code">{candidate.code}</span>
+                      <span className="airport-choice-name">{describeCandidate(candidate)}</span>
+                      <span className="airport-choice-confidence">{Math.round(candidate.confidence * 100)}% match</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
         </div>
       </div>
       
@@ -306,6 +346,58 @@ const styles = `
   font-size: 0.9rem;
 }
 
+.airport-choices {
+  margin-top: 1rem;
+}
+
+.airport-choices h4 {
+  color: #2d3748;
+  margin: 0 0 0.5rem 0;
+  font-size: 0.95rem;
+}
+
+.airport-choices ul {
+  list-style: none;
+  margin: 0;
+  padding: 0;
+}
+
+.airport-choice {
+  display: flex;
+  align-items: center;
+  gap: 0.75rem;
+  width: 100%;
+  margin-bottom: 0.5rem;
+  padding: 0.6rem 0.75rem;
+  background: #f7fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 8px;
+  text-align: left;
+  cursor: pointer;
+  font-size: 0.9rem;
+}
+
+.airport-choice:hover,
+.airport-choice:focus {
+  border-color: #4299e1;
+  background: #ebf8ff;
+}
+
+.airport-choice-code {
+  font-weight: 700;
+  color: #2b6cb0;
+}
+
+.airport-choice-name {
+  flex: 1;
+  color: #4a5568;
+}
+
+.airport-choice-confidence {
+  color: #a0aec0;
+  font-size: 0.8rem;
+}
+
 .error-tips {
   padding: 1.5rem;
   background: #f7fafc;
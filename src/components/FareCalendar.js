@@ -0,0 +1,193 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { loadFareCalendar } from '../services/fareCalendar';
+import { isCancelledRequest } from '../services/apiServices';
+import { addMonths, daysBetween, getMonthDates, getMonthOf, getToday, getWeekday, toLocalDate } from '../utils/calendarDate';
+import '../styles/FareCalendar.css';
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Fares are shaded in this many steps from the month's cheapest to its dearest
+const FARE_LEVELS = 5;
+
+/**
+ * Shade step for a fare within the month's range
+ * @param {number} price - Day's cheapest fare
+ * @param {number} min - Month's lowest fare
+ * @param {number} max - Month's highest fare
+ * @returns {number} 0 (cheapest) to FARE_LEVELS - 1 (dearest)
+ */
+const getFareLevel = (price, min, max) => {
+  if (max === min) return 0;
+  return Math.min(FARE_LEVELS - 1, Math.floor(((price - min) / (max - min)) * FARE_LEVELS));
+};
+
+/**
+ * FareCalendar component: a month of cheapest fares for the searched route
+ * Opens collapsed; once opened it fills in day by day as fares come back,
+ * shaded from green (cheapest) to red. Clicking a day runs the full search
+ * for it.
+ * @param {Object} searchParams - One-way or round-trip search to build the calendar for
+ * @param {Function} onSelectDate - Called with (departureDate, returnDate) when a day is clicked
+ * @param {Function} formatPrice - Formats a base-currency amount for display
+ */
+const FareCalendar = ({ searchParams, onSelectDate, formatPrice }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [month, setMonth] = useState(() => getMonthOf(searchParams.departureDate) || getMonthOf(getToday()));
+  const [days, setDays] = useState({});
+  const [isChecking, setIsChecking] = useState(false);
+  const [stoppedBy, setStoppedBy] = useState(null);
+
+  // The month reloads only when the route changes, so the latest params are read through a ref
+  const searchParamsRef = useRef(searchParams);
+  searchParamsRef.current = searchParams;
+
+  const { origin, destination, tripType, departureDate, returnDate, passengers, travelClass } = searchParams;
+  // Only what changes the fares; picking another day of the same trip doesn't reload
+  const routeKey = JSON.stringify([
+    origin, destination, tripType, passengers, travelClass,
+    tripType === 'round-trip' ? daysBetween(departureDate, returnDate) : null
+  ]);
+
+  // A search for another day shows that day's month, so it's on the grid
+  useEffect(() => {
+    const searchedMonth = getMonthOf(departureDate);
+    if (searchedMonth) setMonth(searchedMonth);
+  }, [departureDate]);
+
+  // Fill the month in as fares arrive; leaving the month or closing stops it
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const controller = new AbortController();
+    setDays({});
+    setStoppedBy(null);
+    setIsChecking(true);
+
+    loadFareCalendar(searchParamsRef.current, month, {
+      signal: controller.signal,
+      onDay: day => setDays(prev => ({ ...prev, [day.date]: day }))
+    })
+      .then(result => setStoppedBy(result.stoppedBy))
+      .catch(error => {
+        if (!isCancelledRequest(error)) setStoppedBy(error);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsChecking(false);
+      });
+
+    return () => controller.abort();
+  }, [isOpen, month, routeKey]);
+
+  const dates = getMonthDates(month);
+  const prices = Object.values(days).filter(day => day.status === 'found').map(day => day.cheapestPrice);
+  const minPrice = prices.length > 0 ? Math.min(...prices) : null;
+  const maxPrice = prices.length > 0 ? Math.max(...prices) : null;
+  const checkable = dates.filter(date => days[date]?.status !== 'past').length;
+  const checked = Object.values(days).filter(day => day.status !== 'past').length;
+  const canGoBack = month > getMonthOf(getToday());
+  const monthLabel = toLocalDate(`${month}-01`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  /**
+   * Render one day of the grid
+   * @param {string} date - "YYYY-MM-DD"
+   */
+  const renderDay = (date) => {
+    const day = days[date];
+    const dayNumber = Number(date.slice(8));
+
+    if (!day || day.status === 'past') {
+      return (
+        <div key={date} className={`fare-day ${day ? 'past' : 'pending'}`}>
+          <span className="fare-day-number">{dayNumber}</span>
+          {!day && isChecking && <span className="fare-day-price">…</span>}
+        </div>
+      );
+    }
+
+    const level = day.status === 'found' ? getFareLevel(day.cheapestPrice, minPrice, maxPrice) : null;
+    const label = day.status === 'found'
+      ? formatPrice(day.cheapestPrice)
+      : day.status === 'empty' ? 'No flights' : 'Failed';
+
+    return (
+      <button
+        key={date}
+        type="button"
+        className={`fare-day ${day.status} ${level !== null ? `fare-level-${level}` : ''} ${date === departureDate ? 'selected' : ''}`}
+        onClick={() => onSelectDate(day.date, day.returnDate)}
+        title={day.status === 'failed' ? 'Could not check this day - click to search it' : `Search ${date}`}
+      >
+        <span className="fare-day-number">{dayNumber}</span>
+        <span className="fare-day-price">{label}</span>
+      </button>
+    );
+  };
+
+  if (!isOpen) {
+    return (
+      <div className="fare-calendar collapsed">
+        <button type="button" className="fare-calendar-toggle" onClick={() => setIsOpen(true)}>
+          📅 Show fare calendar for {origin} → {destination}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <section className="fare-calendar" aria-label="Fare calendar">
+      <div className="fare-calendar-header">
+        <button
+          type="button"
+          className="fare-calendar-nav"
+          onClick={() => setMonth(addMonths(month, -1))}
+          disabled={!canGoBack}
+          aria-label="Previous month"
+        >
+          ‹
+        </button>
+        <h3>{origin} → {destination}: {monthLabel}</h3>
+        <button
+          type="button"
+          className="fare-calendar-nav"
+          onClick={() => setMonth(addMonths(month, 1))}
+          aria-label="Next month"
+        >
+          ›
+        </button>
+        <button type="button" className="fare-calendar-close" onClick={() => setIsOpen(false)}>
+          Hide
+        </button>
+      </div>
+
+      <p className="fare-calendar-status" role="status">
+        {stoppedBy
+          ? `Stopped after ${checked} of ${checkable} days: ${stoppedBy.message}`
+          : isChecking
+            ? `Checking fares… ${checked} of ${checkable} days`
+            : `Cheapest fare per day${tripType === 'round-trip' ? ', same trip length' : ''}. Click a day to see its flights.`}
+      </p>
+
+      <div className="fare-calendar-grid">
+        {WEEKDAY_LABELS.map(label => (
+          <div key={label} className="fare-weekday">{label}</div>
+        ))}
+        {Array.from({ length: getWeekday(dates[0]) }, (_, index) => (
+          <div key={`blank-${index}`} className="fare-day blank" aria-hidden="true" />
+        ))}
+        {dates.map(renderDay)}
+      </div>
+
+      {minPrice !== null && (
+        <div className="fare-calendar-legend">
+          <span>{formatPrice(minPrice)}</span>
+          {Array.from({ length: FARE_LEVELS }, (_, level) => (
+            <span key={level} className={`fare-legend-swatch fare-level-${level}`} />
+          ))}
+          <span>{formatPrice(maxPrice)}</span>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default FareCalendar;
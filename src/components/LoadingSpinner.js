@@ -4,8 +4,10 @@ import '../styles/LoadingSpinner.css';
 /**
  * LoadingSpinner component to show loading state during API calls
  * Provides visual feedback to users while waiting for search results
+ * @param {Function} [onCancel] - Called when the user cancels the search
+ * @param {Object} [retryStatus] - { provider, attempt, maxAttempts } while a request is being retried
  */
-const LoadingSpinner = () => {
+const LoadingSpinner = ({ onCancel, retryStatus }) => {
   return (
     <div className="loading-container">
       <div className="loading-spinner">
@@ -17,12 +19,23 @@ const LoadingSpinner = () => {
       <div className="loading-text">
         <h3>Searching for the best deals...</h3>
         <p>We're comparing prices across multiple providers</p>
+        {retryStatus && (
+          <p className="retry-status" role="status">
+            {retryStatus.provider ? `${retryStatus.provider} is busy. ` : ''}
+            Retrying… attempt {retryStatus.attempt} of {retryStatus.maxAttempts}
+          </p>
+        )}
       </div>
       <div className="loading-steps">
         <div className="step active">🔍 Searching flights</div>
         <div className="step">💰 Comparing prices</div>
         <div className="step">📋 Preparing results</div>
       </div>
+      {onCancel && (
+        <button type="button" className="cancel-search-btn" onClick={onCancel}>
+          Cancel search
+        </button>
+      )}
     </div>
   );
 };
@@ -0,0 +1,126 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { PASSENGER_LIMITS, formatPassengerSummary, normalizePassengers } from '../utils/helpers';
+import '../styles/PassengerSelector.css';
+
+const PASSENGER_TYPES = [
+  { key: 'adults', label: 'Adults', hint: '12+ years' },
+  { key: 'children', label: 'Children', hint: '2–11 years' },
+  { key: 'infants', label: 'Infants', hint: 'Under 2, on lap' }
+];
+
+/**
+ * PassengerSelector component for choosing adults, children and infants
+ * Steppers stop at the airline limits: at least one adult, at most
+ * PASSENGER_LIMITS.MAX_SEATS seated passengers and no more infants than adults.
+ * @param {string} id - Id for the toggle button, so a label can point at it
+ * @param {Object} value - { adults, children, infants }
+ * @param {Function} onChange - Called with the updated breakdown
+ * @param {boolean} [hasError] - Whether to show the error style
+ */
+const PassengerSelector = ({ id, value, onChange, hasError = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const passengers = normalizePassengers(value);
+  const seats = passengers.adults + passengers.children;
+
+  // Close when clicking outside the selector
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  /**
+   * Check whether a count can go up or down by one
+   * @param {string} key - 'adults', 'children' or 'infants'
+   * @param {number} step - +1 or -1
+   * @returns {boolean} True if the change keeps the breakdown bookable
+   */
+  const canChange = (key, step) => {
+    const next = { ...passengers, [key]: passengers[key] + step };
+
+    if (next[key] < (key === 'adults' ? PASSENGER_LIMITS.MIN_ADULTS : 0)) return false;
+    if (step > 0 && key !== 'infants' && seats >= PASSENGER_LIMITS.MAX_SEATS) return false;
+    // Removing an adult must still leave one per infant
+    return next.infants <= next.adults;
+  };
+
+  /**
+   * Change one count by a step
+   * @param {string} key - 'adults', 'children' or 'infants'
+   * @param {number} step - +1 or -1
+   */
+  const changeCount = (key, step) => {
+    if (canChange(key, step)) {
+      onChange({ ...passengers, [key]: passengers[key] + step });
+    }
+  };
+
+  return (
+    <div
+      className="passenger-selector"
+      ref={containerRef}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') setIsOpen(false);
+      }}
+    >
+      <button
+        type="button"
+        id={id}
+        className={`form-input passenger-toggle ${hasError ? 'error' : ''}`}
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen(open => !open)}
+      >
+        {formatPassengerSummary(passengers)}
+      </button>
+
+      {isOpen && (
+        <div className="passenger-panel" role="group" aria-label="Passengers">
+          {PASSENGER_TYPES.map(({ key, label, hint }) => (
+            <div key={key} className="passenger-row">
+              <div className="passenger-type">
+                <span className="passenger-label">{label}</span>
+                <span className="passenger-hint">{hint}</span>
+              </div>
+              <div className="passenger-stepper">
+                <button
+                  type="button"
+                  onClick={() => changeCount(key, -1)}
+                  disabled={!canChange(key, -1)}
+                  aria-label={`Remove one from ${label.toLowerCase()}`}
+                >
+                  −
+                </button>
+                <span className="passenger-count" aria-live="polite">{passengers[key]}</span>
+                <button
+                  type="button"
+                  onClick={() => changeCount(key, 1)}
+                  disabled={!canChange(key, 1)}
+                  aria-label={`Add one to ${label.toLowerCase()}`}
+                >
+                  +
+                </button>
+              </div>
+            </div>
+          ))}
+          <p className="passenger-rules">
+            Up to {PASSENGER_LIMITS.MAX_SEATS} seated passengers. Each infant travels on an adult's lap.
+          </p>
+          <button type="button" className="passenger-done" onClick={() => setIsOpen(false)}>
+            Done
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PassengerSelector;
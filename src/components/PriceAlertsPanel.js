@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { BASE_CURRENCY, convertAmount, formatMoney } from '../services/currency';
+import { describePriceAlert, isAlertExpired } from '../services/priceAlerts';
+import { formatPassengerSummary, getRelativeTime } from '../utils/helpers';
+import '../styles/PriceAlertsPanel.css';
+
+/**
+ * Describe when an alert was last checked and what it found
+ * @param {Object} alert - PriceAlert
+ * @param {Function} formatPrice - Formats a base-currency amount for display
+ * @returns {string} e.g. "Checked 5 minutes ago: from $212"
+ */
+const getCheckSummary = (alert, formatPrice) => {
+  if (isAlertExpired(alert)) return 'Departure date has passed';
+  if (!alert.lastCheckedAt) return 'Not checked yet';
+
+  const age = getRelativeTime(new Date(alert.lastCheckedAt).toISOString());
+  const checked = `Checked ${age === 'now' ? 'just now' : age}`;
+  if (alert.lastError) return `${checked}: ${alert.lastError}`;
+  if (alert.lastPrice === null) return `${checked}: no flights found`;
+  return `${checked}: from ${formatPrice(alert.lastPrice)}`;
+};
+
+/**
+ * PriceAlertsPanel component: every saved price alert, to check, edit or delete
+ * Targets are edited in the display currency and saved in the base currency,
+ * like the alert form on each ticket.
+ * @param {Array} alerts - PriceAlerts, oldest first
+ * @param {string} displayCurrency - Currency to show and edit prices in
+ * @param {Function} formatPrice - Formats a base-currency amount for display
+ * @param {Function} onUpdate - Called with (id, changes) to change an alert
+ * @param {Function} onRemove - Called with the id of an alert to delete
+ * @param {Function} onSearch - Called with an alert to search its flights
+ * @param {Function} onCheckNow - Checks every active alert now
+ * @param {boolean} isChecking - Whether a check is running
+ * @param {string} notificationPermission - 'granted', 'denied', 'default' or 'unsupported'
+ * @param {Function} onEnableNotifications - Asks for notification permission
+ * @param {Function} onClose - Closes the panel
+ */
+const PriceAlertsPanel = ({
+  alerts,
+  displayCurrency,
+  formatPrice,
+  onUpdate,
+  onRemove,
+  onSearch,
+  onCheckNow,
+  isChecking,
+  notificationPermission,
+  onEnableNotifications,
+  onClose
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [editTarget, setEditTarget] = useState('');
+
+  // Targets are typed in the display currency, or the base one without a rate
+  const editCurrency = convertAmount(1, BASE_CURRENCY, displayCurrency) === null
+    ? BASE_CURRENCY
+    : displayCurrency;
+
+  /**
+   * Start editing an alert's target
+   * @param {Object} alert - PriceAlert
+   */
+  const startEditing = (alert) => {
+    setEditingId(alert.id);
+    setEditTarget(String(Math.round(convertAmount(alert.targetPrice, BASE_CURRENCY, editCurrency))));
+  };
+
+  /**
+   * Save the edited target
+   * @param {Event} event - Form submit event
+   */
+  const saveTarget = (event) => {
+    event.preventDefault();
+    const target = parseFloat(editTarget);
+    if (!Number.isFinite(target) || target <= 0) return;
+
+    onUpdate(editingId, { targetPrice: convertAmount(target, editCurrency, BASE_CURRENCY) });
+    setEditingId(null);
+  };
+
+  return (
+    <div className="price-alerts-panel">
+      <div className="price-alerts-header">
+        <h3>Price alerts</h3>
+        <button
+          className="price-alerts-check"
+          onClick={onCheckNow}
+          disabled={isChecking || alerts.length === 0}
+        >
+          {isChecking ? 'Checking...' : '↻ Check now'}
+        </button>
+        <button className="price-alerts-close" onClick={onClose} aria-label="Close price alerts">
+          ✕
+        </button>
+      </div>
+
+      <p className="price-alerts-note">
+        Fares are checked every so often while this page is open.
+        {notificationPermission === 'default' && (
+          <>
+            {' '}
+            <button className="price-alerts-link" onClick={onEnableNotifications}>
+              Turn on browser notifications
+            </button>
+          </>
+        )}
+        {notificationPermission === 'denied' && ' Browser notifications are blocked, so drops show here only.'}
+      </p>
+
+      {alerts.length === 0 ? (
+        <p className="price-alerts-empty">
+          No alerts yet. Use the 🔔 on any flight to watch its route for a lower fare.
+        </p>
+      ) : (
+        <ul className="price-alerts-list">
+          {alerts.map(alert => {
+            const expired = isAlertExpired(alert);
+            const isBelowTarget = alert.lastPrice !== null && alert.lastPrice < alert.targetPrice;
+
+            return (
+              <li
+                key={alert.id}
+                className={`price-alert-item ${alert.active && !expired ? '' : 'inactive'} ${isBelowTarget ? 'below-target' : ''}`}
+              >
+                <div className="price-alert-route">
+                  <strong>{describePriceAlert(alert)}</strong>
+                  <span className="price-alert-meta">
+                    {alert.tripType === 'round-trip' ? 'Round trip' : 'One way'}, {alert.classLabel || alert.travelClass},{' '}
+                    {formatPassengerSummary(alert.passengers)}
+                  </span>
+                </div>
+
+                {editingId === alert.id ? (
+                  <form className="price-alert-edit" onSubmit={saveTarget}>
+                    <label>
+                      Below ({editCurrency})
+                      <input
+                        type="number"
+                        min="1"
+                        value={editTarget}
+                        onChange={(e) => setEditTarget(e.target.value)}
+                        autoFocus
+                      />
+                    </label>
+                    <button type="submit">Save</button>
+                    <button type="button" onClick={() => setEditingId(null)}>Cancel</button>
+                  </form>
+                ) : (
+                  <div className="price-alert-target">
+                    Below <strong>{formatMoney(convertAmount(alert.targetPrice, BASE_CURRENCY, editCurrency), editCurrency)}</strong>
+                    {!alert.active && <span className="price-alert-paused">Paused</span>}
+                  </div>
+                )}
+
+                <div className="price-alert-status">{getCheckSummary(alert, formatPrice)}</div>
+
+                <div className="price-alert-actions">
+                  <button onClick={() => onSearch(alert)} disabled={expired}>View flights</button>
+                  <button onClick={() => startEditing(alert)}>Edit target</button>
+                  <button onClick={() => onUpdate(alert.id, { active: !alert.active })} disabled={expired}>
+                    {alert.active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button className="price-alert-delete" onClick={() => onRemove(alert.id)}>Delete</button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PriceAlertsPanel;
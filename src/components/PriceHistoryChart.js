@@ -0,0 +1,114 @@
+import React from 'react';
+import '../styles/PriceHistoryChart.css';
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = { top: 10, right: 10, bottom: 20, left: 10 };
+
+/**
+ * Format a point's time for labels
+ * @param {number} checkedAt - Milliseconds since the epoch
+ * @returns {string} e.g. "Jan 5, 3:20 PM"
+ */
+const formatCheckedAt = (checkedAt) => new Date(checkedAt).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * PriceHistoryChart component: how the route's fare moved over past searches
+ * Draws the cheapest fare as a line and the median as a dashed line, one
+ * point per search, oldest on the left.
+ * @param {Array} history - PricePoints from the price history, oldest first
+ * @param {Function} formatPrice - Formats a base-currency amount for display
+ */
+const PriceHistoryChart = ({ history, formatPrice }) => {
+  if (!history || history.length === 0) return null;
+
+  if (history.length === 1) {
+    return (
+      <div className="price-history">
+        <p className="price-history-note">
+          First search of this route. Search it again later to see how the fare changes.
+        </p>
+      </div>
+    );
+  }
+
+  const values = history.flatMap(point => [point.cheapest, point.median]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+  const getX = (index) => CHART_PADDING.left + (index / (history.length - 1)) * plotWidth;
+  const getY = (value) => CHART_PADDING.top + (max === min ? plotHeight / 2 : ((max - value) / (max - min)) * plotHeight);
+  const toPath = (key) => history
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${getX(index).toFixed(1)},${getY(point[key]).toFixed(1)}`)
+    .join(' ');
+
+  const latest = history[history.length - 1];
+  const previous = history[history.length - 2];
+  const change = latest.cheapest - previous.cheapest;
+  const changePercent = Math.round((Math.abs(change) / previous.cheapest) * 100);
+  const trend = change < 0 ? 'down' : change > 0 ? 'up' : 'flat';
+
+  return (
+    <div className="price-history">
+      <div className="price-history-header">
+        <h4>Fare history</h4>
+        <span className={`price-history-change ${trend}`}>
+          {trend === 'flat'
+            ? 'Same as last search'
+            : `${trend === 'down' ? '▼' : '▲'} ${formatPrice(Math.abs(change))} (${changePercent}%) since last search`}
+        </span>
+      </div>
+
+      <svg
+        className="price-history-chart"
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        role="img"
+        aria-label={`Cheapest fare over the last ${history.length} searches, from ${formatPrice(history[0].cheapest)} to ${formatPrice(latest.cheapest)}`}
+      >
+        <line
+          className="price-history-axis"
+          x1={CHART_PADDING.left}
+          x2={CHART_WIDTH - CHART_PADDING.right}
+          y1={CHART_HEIGHT - CHART_PADDING.bottom}
+          y2={CHART_HEIGHT - CHART_PADDING.bottom}
+        />
+        <path className="price-history-median" d={toPath('median')} />
+        <path className="price-history-cheapest" d={toPath('cheapest')} />
+        {history.map((point, index) => (
+          <circle
+            key={point.checkedAt}
+            className="price-history-point"
+            cx={getX(index)}
+            cy={getY(point.cheapest)}
+            r={index === history.length - 1 ? 4 : 3}
+          >
+            <title>
+              {`${formatCheckedAt(point.checkedAt)}: from ${formatPrice(point.cheapest)}, median ${formatPrice(point.median)}`}
+            </title>
+          </circle>
+        ))}
+        <text className="price-history-label" x={CHART_PADDING.left} y={CHART_HEIGHT - 4}>
+          {formatCheckedAt(history[0].checkedAt)}
+        </text>
+        <text className="price-history-label" x={CHART_WIDTH - CHART_PADDING.right} y={CHART_HEIGHT - 4} textAnchor="end">
+          {formatCheckedAt(latest.checkedAt)}
+        </text>
+      </svg>
+
+      <div className="price-history-legend">
+        <span className="legend-cheapest">Cheapest</span>
+        <span className="legend-median">Median</span>
+        <span>Range {formatPrice(min)} - {formatPrice(max)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default PriceHistoryChart;
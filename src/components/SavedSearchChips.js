@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { describeSearch, MAX_SAVED_SEARCH_NAME_LENGTH } from '../services/savedSearches';
+import { isBeforeToday } from '../utils/calendarDate';
+import { formatPassengerSummary, getRelativeTime } from '../utils/helpers';
+import '../styles/SavedSearchChips.css';
+
+/**
+ * Whether a search's first flight has already left
+ * @param {Object} params - Search parameters
+ * @returns {boolean} True when its dates need changing before it can run
+ */
+const hasPastDates = (params) => {
+  const firstDate = params.tripType === 'multi-city' ? params.legs[0]?.departureDate : params.departureDate;
+  return Boolean(firstDate) && isBeforeToday(firstDate);
+};
+
+/**
+ * Hover text with everything the chip stands for
+ * @param {Object} entry - Pinned search or history entry
+ * @param {Function} formatPrice - Formats a base-currency amount for display
+ * @returns {string} e.g. "DEL → BOM, Nov 20 · 2 adults · economy · from $136 2 hours ago"
+ */
+const getChipTitle = (entry, formatPrice) => {
+  const parts = [
+    describeSearch(entry.params),
+    formatPassengerSummary(entry.params.passengers),
+    entry.params.travelClass
+  ];
+  if (entry.lastCheapest !== null) {
+    const age = getRelativeTime(new Date(entry.lastPricedAt).toISOString());
+    parts.push(`from ${formatPrice(entry.lastCheapest)} ${age === 'now' ? 'just now' : age}`);
+  }
+  if (hasPastDates(entry.params)) {
+    parts.push('dates have passed, pick new ones');
+  }
+  return parts.join(' · ');
+};
+
+/**
+ * SavedSearchChips component: pinned searches and recent history, one click each
+ * Pinned searches come first under their names; recent ones that aren't
+ * pinned follow. Each chip shows the cheapest fare its search last found.
+ * @param {Array} pinned - Pinned searches
+ * @param {Array} history - Recent searches, newest first
+ * @param {Function} onSelect - Called with the entry whose chip was clicked
+ * @param {Function} onPin - Called with (entry, name) to pin a recent search
+ * @param {Function} onRemove - Called with the id of an entry to remove
+ * @param {Function} onClearHistory - Forgets every recent search
+ * @param {Function} formatPrice - Formats a base-currency amount for display
+ */
+const SavedSearchChips = ({ pinned, history, onSelect, onPin, onRemove, onClearHistory, formatPrice }) => {
+  const [pinningEntry, setPinningEntry] = useState(null);
+  const [pinName, setPinName] = useState('');
+
+  const recent = history.filter(entry => !pinned.some(saved => saved.key === entry.key));
+  if (pinned.length === 0 && recent.length === 0) return null;
+
+  /**
+   * Start naming a recent search to pin it
+   * @param {Object} entry - History entry
+   */
+  const startPinning = (entry) => {
+    setPinningEntry(entry);
+    setPinName(describeSearch(entry.params));
+  };
+
+  /**
+   * Pin the search being named
+   * @param {Event} event - Form submit event
+   */
+  const savePin = (event) => {
+    event.preventDefault();
+    onPin(pinningEntry, pinName);
+    setPinningEntry(null);
+  };
+
+  /**
+   * Render one chip
+   * @param {Object} entry - Pinned search or history entry
+   * @param {boolean} isPinned - Whether it's pinned
+   */
+  const renderChip = (entry, isPinned) => (
+    <div
+      key={entry.id}
+      className={`search-chip ${isPinned ? 'pinned' : ''} ${hasPastDates(entry.params) ? 'stale' : ''}`}
+    >
+      <button
+        type="button"
+        className="search-chip-main"
+        onClick={() => onSelect(entry)}
+        title={getChipTitle(entry, formatPrice)}
+      >
+        <span className="search-chip-label">
+          {isPinned && '📌 '}{isPinned ? entry.name : describeSearch(entry.params)}
+        </span>
+        {entry.lastCheapest !== null && (
+          <span className="search-chip-price">{formatPrice(entry.lastCheapest)}</span>
+        )}
+      </button>
+      {!isPinned && (
+        <button
+          type="button"
+          className="search-chip-action"
+          onClick={() => startPinning(entry)}
+          aria-label={`Pin ${describeSearch(entry.params)}`}
+          title="Pin with a name"
+        >
+          ☆
+        </button>
+      )}
+      <button
+        type="button"
+        className="search-chip-action"
+        onClick={() => onRemove(entry.id)}
+        aria-label={`Remove ${isPinned ? entry.name : describeSearch(entry.params)}`}
+        title={isPinned ? 'Unpin' : 'Remove from history'}
+      >
+        ✕
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="saved-searches">
+      {pinned.length > 0 && (
+        <div className="search-chip-row" aria-label="Saved searches">
+          {pinned.map(entry => renderChip(entry, true))}
+        </div>
+      )}
+
+      {recent.length > 0 && (
+        <div className="search-chip-row" aria-label="Recent searches">
+          <span className="search-chip-heading">Recent</span>
+          {recent.map(entry => renderChip(entry, false))}
+          <button type="button" className="search-chip-clear" onClick={onClearHistory}>
+            Clear
+          </button>
+        </div>
+      )}
+
+      {pinningEntry && (
+        <form className="search-chip-pin-form" onSubmit={savePin}>
+          <label htmlFor="saved-search-name">Name this search</label>
+          <input
+            id="saved-search-name"
+            value={pinName}
+            maxLength={MAX_SAVED_SEARCH_NAME_LENGTH}
+            onChange={(e) => setPinName(e.target.value)}
+            autoFocus
+          />
+          <button type="submit">Pin</button>
+          <button type="button" onClick={() => setPinningEntry(null)}>Cancel</button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default SavedSearchChips;
@@ -1,23 +1,60 @@
 import React, { useState } from 'react';
 import { validateSearchParams } from '../utils/helpers';
+import { addDays, getToday } from '../utils/calendarDate';
+import { resolveAirport } from '../services/airports';
+import { addRecentAirports } from '../services/recentAirports';
+import AirportInput from './AirportInput';
+import PassengerSelector from './PassengerSelector';
+import SavedSearchChips from './SavedSearchChips';
 import '../styles/SearchForm.css';
 
+const MAX_MULTI_CITY_LEGS = 6;
+
+// Radius choices for also searching airports near the origin and destination
+const NEARBY_RADIUS_OPTIONS_KM = [100, 200, 300, 500];
+
+// Days either side of the chosen date a flexible search covers
+const FLEXIBLE_DAY_OPTIONS = [1, 2, 3];
+
+const createEmptyLeg = () => ({
+  origin: '',
+  destination: '',
+  departureDate: ''
+});
+
+const createEmptyForm = () => ({
+  origin: '',
+  destination: '',
+  departureDate: '',
+  returnDate: '',
+  tripType: 'one-way',
+  legs: [createEmptyLeg(), createEmptyLeg()],
+  passengers: { adults: 1, children: 0, infants: 0 },
+  travelClass: 'economy',
+  nearbyRadiusKm: 0,
+  flexibleDays: 0
+});
+
 /**
  * SearchForm component for user input collection
  * Handles form validation and submission
  * @param {Function} onSearch - Callback function to handle search submission
+ * @param {Object} [savedSearches] - { pinned, history } to show as chips above the form
+ * @param {Function} [onPinSearch] - Called with (entry, name) to pin a recent search
+ * @param {Function} [onRemoveSavedSearch] - Called with the id of a chip to remove
+ * @param {Function} [onClearSearchHistory] - Forgets the recent searches
+ * @param {Function} [formatPrice] - Formats a base-currency amount for the chips
  */
-const SearchForm = ({ onSearch }) => {
+const SearchForm = ({
+  onSearch,
+  savedSearches,
+  onPinSearch,
+  onRemoveSavedSearch,
+  onClearSearchHistory,
+  formatPrice
+}) => {
   // Form state management
-  const [formData, setFormData] = useState({
-    origin: '',
-    destination: '',
-    departureDate: '',
-    returnDate: '',
-    tripType: 'one-way',
-    passengers: 1,
-    travelClass: 'economy'
-  });
+  const [formData, setFormData] = useState(createEmptyForm);
 
   const [errors, setErrors] = useState({});
 
@@ -42,16 +79,92 @@ const SearchForm = ({ onSearch }) => {
   };
 
 
+  /**
+   * Handle passenger breakdown changes
+   * @param {Object} passengers - { adults, children, infants }
+   */
+  const handlePassengersChange = (passengers) => {
+    setFormData(prev => ({ ...prev, passengers }));
+
+    if (errors.passengers) {
+      setErrors(prev => ({ ...prev, passengers: '' }));
+    }
+  };
 
   /**
-   * Handle form submission
-   * @param {Event} e - Form submit event
+   * Handle changes to a single multi-city leg
+   * @param {number} index - Leg index
+   * @param {Event} e - Input change event
    */
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    
+  const handleLegChange = (index, e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      legs: prev.legs.map((leg, legIndex) => (
+        legIndex === index ? { ...leg, [name]: value } : leg
+      ))
+    }));
+
+    if (errors.legs?.[index]?.[name]) {
+      setErrors(prev => ({
+        ...prev,
+        legs: prev.legs.map((legError, legIndex) => (
+          legIndex === index ? { ...legError, [name]: '' } : legError
+        ))
+      }));
+    }
+  };
+
+  /**
+   * Add another leg, starting where the previous one lands
+   */
+  const addLeg = () => {
+    setFormData(prev => {
+      const lastLeg = prev.legs[prev.legs.length - 1];
+      return {
+        ...prev,
+        legs: [...prev.legs, { ...createEmptyLeg(), origin: lastLeg.destination }]
+      };
+    });
+  };
+
+  /**
+   * Remove a leg from the itinerary
+   * @param {number} index - Leg index
+   */
+  const removeLeg = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      legs: prev.legs.filter((_, legIndex) => legIndex !== index)
+    }));
+    setErrors(prev => ({
+      ...prev,
+      legs: prev.legs && prev.legs.filter((_, legIndex) => legIndex !== index)
+    }));
+  };
+
+  /**
+   * Add the airports being searched to the recent list
+   * @param {Object} data - Form data being searched
+   */
+  const rememberAirports = (data) => {
+    const routes = data.tripType === 'multi-city' ? data.legs : [data];
+    const codes = routes
+      .flatMap(route => [route.origin, route.destination])
+      .map(input => resolveAirport(input))
+      .filter(resolution => resolution.status === 'resolved')
+      .map(resolution => resolution.code);
+
+    addRecentAirports(codes);
+  };
+
+  /**
+   * Validate form data and search with it
+   * @param {Object} data - Form data to search
+   */
+  const submitSearch = (data) => {
     // Validate form data
-    const validationErrors = validateSearchParams(formData);
+    const validationErrors = validateSearchParams(data);
     
     if (Object.keys(validationErrors).length > 0) {
       setErrors(validationErrors);
@@ -60,25 +173,69 @@ const SearchForm = ({ onSearch }) => {
 
     // Clear errors and submit search
     setErrors({});
-    onSearch(formData);
+    rememberAirports(data);
+    if (data.tripType === 'multi-city') {
+      onSearch({ ...data, origin: '', destination: '', departureDate: '', returnDate: '' });
+    } else {
+      const { legs, ...singleRouteParams } = data;
+      onSearch(singleRouteParams);
+    }
+  };
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitSearch(formData);
+  };
+
+  /**
+   * Fill the form from a saved or recent search and run it
+   * A search whose dates have passed fills the form and shows the date
+   * errors, so only the dates need changing.
+   * @param {Object} entry - Pinned search or history entry
+   */
+  const runSavedSearch = (entry) => {
+    const data = {
+      ...createEmptyForm(),
+      ...entry.params,
+      legs: entry.params.legs || [createEmptyLeg(), createEmptyLeg()]
+    };
+    setFormData(data);
+    submitSearch(data);
   };
 
   /**
    * Get minimum date (today) for date inputs
    */
   const getMinDate = () => {
-    return new Date().toISOString().split('T')[0];
+    // Local date, not UTC: toISOString() is already tomorrow or still yesterday near midnight
+    return getToday();
   };
 
   /**
    * Get minimum return date (departure date)
    */
   const getMinReturnDate = () => {
-    return formData.departureDate || getMinDate();
+    return (formData.departureDate && addDays(formData.departureDate, 1)) || getMinDate();
   };
 
   return (
     <div className="search-form-container">
+      {savedSearches && (
+        <SavedSearchChips
+          pinned={savedSearches.pinned}
+          history={savedSearches.history}
+          onSelect={runSavedSearch}
+          onPin={onPinSearch}
+          onRemove={onRemoveSavedSearch}
+          onClearHistory={onClearSearchHistory}
+          formatPrice={formatPrice}
+        />
+      )}
+
       <form className="search-form" onSubmit={handleSubmit}>
         <h2>✈️ Search Flight Tickets</h2>
         
@@ -95,89 +252,168 @@ const SearchForm = ({ onSearch }) => {
             >
               <option value="one-way">One Way</option>
               <option value="round-trip">Round Trip</option>
+              <option value="multi-city">Multi-City</option>
             </select>
           </div>
         </div>
 
-        {/* Origin and Destination */}
-        <div className="form-row">
-          <div className="form-group">
-            <label htmlFor="origin">From</label>
-            <input
-              type="text"
-              id="origin"
-              name="origin"
-              value={formData.origin}
-              onChange={handleInputChange}
-              placeholder="Enter airport code (e.g., LAX, JFK)"
-              className={`form-input ${errors.origin ? 'error' : ''}`}
-            />
-            {errors.origin && <span className="error-text">{errors.origin}</span>}
-          </div>
+        {formData.tripType === 'multi-city' ? (
+          <div className="multi-city-legs">
+            {formData.legs.map((leg, index) => (
+              <div key={index} className="form-row leg-row">
+                <div className="leg-label">Flight {index + 1}</div>
+                <div className="form-group">
+                  <label htmlFor={`leg-${index}-origin`}>From</label>
+                  <AirportInput
+                    id={`leg-${index}-origin`}
+                    name="origin"
+                    value={leg.origin}
+                    onChange={(e) => handleLegChange(index, e)}
+                    placeholder="e.g., DEL"
+                    hasError={Boolean(errors.legs?.[index]?.origin)}
+                  />
+                  {errors.legs?.[index]?.origin && <span className="error-text">{errors.legs[index].origin}</span>}
+                </div>
 
-          <div className="form-group">
-            <label htmlFor="destination">To</label>
-            <input
-              type="text"
-              id="destination"
-              name="destination"
-              value={formData.destination}
-              onChange={handleInputChange}
-              placeholder="Enter airport code (e.g., LHR, CDG)"
-              className={`form-input ${errors.destination ? 'error' : ''}`}
-            />
-            {errors.destination && <span className="error-text">{errors.destination}</span>}
+                <div className="form-group">
+                  <label htmlFor={`leg-${index}-destination`}>To</label>
+                  <AirportInput
+                    id={`leg-${index}-destination`}
+                    name="destination"
+                    value={leg.destination}
+                    onChange={(e) => handleLegChange(index, e)}
+                    placeholder="e.g., LHR"
+                    hasError={Boolean(errors.legs?.[index]?.destination)}
+                  />
+                  {errors.legs?.[index]?.destination && <span className="error-text">{errors.legs[index].destination}</span>}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor={`leg-${index}-departureDate`}>Date</label>
+                  <input
+                    type="date"
+                    id={`leg-${index}-departureDate`}
+                    name="departureDate"
+                    value={leg.departureDate}
+                    onChange={(e) => handleLegChange(index, e)}
+                    min={index > 0 && formData.legs[index - 1].departureDate ? formData.legs[index - 1].departureDate : getMinDate()}
+                    className={`form-input ${errors.legs?.[index]?.departureDate ? 'error' : ''}`}
+                  />
+                  {errors.legs?.[index]?.departureDate && <span className="error-text">{errors.legs[index].departureDate}</span>}
+                </div>
+
+                {formData.legs.length > 2 && (
+                  <button
+                    type="button"
+                    className="remove-leg-button"
+                    onClick={() => removeLeg(index)}
+                    aria-label={`Remove flight ${index + 1}`}
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+
+            {formData.legs.length < MAX_MULTI_CITY_LEGS && (
+              <button type="button" className="add-leg-button" onClick={addLeg}>
+                + Add another flight
+              </button>
+            )}
           </div>
-        </div>
+        ) : (
+          <>
+          {/* Origin and Destination */}
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="origin">From</label>
+              <AirportInput
+                id="origin"
+                name="origin"
+                value={formData.origin}
+                onChange={handleInputChange}
+                placeholder="City, airport or code (e.g., LAX)"
+                hasError={Boolean(errors.origin)}
+              />
+              {errors.origin && <span className="error-text">{errors.origin}</span>}
+            </div>
 
-        {/* Dates */}
-        <div className="form-row">
-          <div className="form-group">
-            <label htmlFor="departureDate">Departure Date</label>
-            <input
-              type="date"
-              id="departureDate"
-              name="departureDate"
-              value={formData.departureDate}
-              onChange={handleInputChange}
-              min={getMinDate()}
-              className={`form-input ${errors.departureDate ? 'error' : ''}`}
-            />
-            {errors.departureDate && <span className="error-text">{errors.departureDate}</span>}
+            <div className="form-group">
+              <label htmlFor="destination">To</label>
+              <AirportInput
+                id="destination"
+                name="destination"
+                value={formData.destination}
+                onChange={handleInputChange}
+                placeholder="City, airport or code (e.g., LHR)"
+                hasError={Boolean(errors.destination)}
+              />
+              {errors.destination && <span className="error-text">{errors.destination}</span>}
+            </div>
           </div>
 
-          {formData.tripType === 'round-trip' && (
+          {/* Dates */}
+          <div className="form-row">
             <div className="form-group">
-              <label htmlFor="returnDate">Return Date</label>
+              <label htmlFor="departureDate">Departure Date</label>
               <input
                 type="date"
-                id="returnDate"
-                name="returnDate"
-                value={formData.returnDate}
+                id="departureDate"
+                name="departureDate"
+                value={formData.departureDate}
                 onChange={handleInputChange}
-                min={getMinReturnDate()}
-                className={`form-input ${errors.returnDate ? 'error' : ''}`}
+                min={getMinDate()}
+                className={`form-input ${errors.departureDate ? 'error' : ''}`}
               />
-              {errors.returnDate && <span className="error-text">{errors.returnDate}</span>}
+              {errors.departureDate && <span className="error-text">{errors.departureDate}</span>}
             </div>
-          )}
-        </div>
+
+            {formData.tripType === 'round-trip' && (
+              <div className="form-group">
+                <label htmlFor="returnDate">Return Date</label>
+                <input
+                  type="date"
+                  id="returnDate"
+                  name="returnDate"
+                  value={formData.returnDate}
+                  onChange={handleInputChange}
+                  min={getMinReturnDate()}
+                  className={`form-input ${errors.returnDate ? 'error' : ''}`}
+                />
+                {errors.returnDate && <span className="error-text">{errors.returnDate}</span>}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="flexibleDays">Flexible Dates</label>
+              <select
+                id="flexibleDays"
+                name="flexibleDays"
+                value={formData.flexibleDays}
+                onChange={handleInputChange}
+                className="form-input"
+              >
+                <option value={0}>Exact dates</option>
+                {FLEXIBLE_DAY_OPTIONS.map(days => (
+                  <option key={days} value={days}>± {days} day{days === 1 ? '' : 's'}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          </>
+        )}
 
         {/* Passengers and Class */}
         <div className="form-row">
           <div className="form-group">
             <label htmlFor="passengers">Passengers</label>
-            <select
+            <PassengerSelector
               id="passengers"
-              name="passengers"
               value={formData.passengers}
-              onChange={handleInputChange}
-              className="form-input"
-            >
-              {[1, 2, 3, 4, 5, 6].map(num => (
-                <option key={num} value={num}>{num} {num === 1 ? 'Passenger' : 'Passengers'}</option>
-              ))}
-            </select>
+              onChange={handlePassengersChange}
+              hasError={Boolean(errors.passengers)}
+            />
+            {errors.passengers && <span className="error-text">{errors.passengers}</span>}
           </div>
 
           <div className="form-group">
@@ -195,6 +431,22 @@ const SearchForm = ({ onSearch }) => {
               <option value="first">First Class</option>
             </select>
           </div>
+
+          <div className="form-group">
+            <label htmlFor="nearbyRadiusKm">Nearby Airports</label>
+            <select
+              id="nearbyRadiusKm"
+              name="nearbyRadiusKm"
+              value={formData.nearbyRadiusKm}
+              onChange={handleInputChange}
+              className="form-input"
+            >
+              <option value={0}>Exact airports only</option>
+              {NEARBY_RADIUS_OPTIONS_KM.map(radius => (
+                <option key={radius} value={radius}>Include within {radius} km</option>
+              ))}
+            </select>
+          </div>
         </div>
 
         {/* Submit button */}
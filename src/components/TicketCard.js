@@ -1,15 +1,31 @@
 import React, { useState } from 'react';
-import { formatDuration, formatTime } from '../utils/helpers';
+import { formatDuration, formatPassengerSummary, formatTime, normalizePassengers } from '../utils/helpers';
+import { BASE_CURRENCY, convertAmount, formatMoney } from '../services/currency';
+import { getAirport, getMetroArea } from '../services/airports';
+import { describeFlightTime, getZonedDurationMinutes } from '../utils/timeZones';
 import '../styles/TicketCard.css';
 
+// Booking agents listed before the card is expanded
+const COLLAPSED_AGENT_COUNT = 3;
+
+// The alert form suggests a target this far below the current fare
+const SUGGESTED_ALERT_DISCOUNT = 0.1;
+
 /**
  * Enhanced TicketCard component with modern UI/UX
  * Features: Price alerts, quick filters, enhanced visual design
  * @param {Object} ticket - Ticket data object
+ * @param {string} [displayCurrency] - Currency to show prices in
+ * @param {Object} [passengers] - Passenger breakdown the fare covers
+ * @param {Function} [onCreateAlert] - Saves a price alert, called with
+ *   (ticket, targetPrice in the base currency); the 🔔 button is hidden without it
  */
-const TicketCard = ({ ticket }) => {
+const TicketCard = ({ ticket, displayCurrency = BASE_CURRENCY, passengers, onCreateAlert }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [showPriceAlert, setShowPriceAlert] = useState(false);
+  const [alertTarget, setAlertTarget] = useState('');
+  const [alertStatus, setAlertStatus] = useState(null);
+  const [selectedOptionIndex, setSelectedOptionIndex] = useState(0);
 
   /**
    * Get airline logo URL with fallback system
@@ -62,15 +78,86 @@ const TicketCard = ({ ticket }) => {
   };
 
   /**
-   * Format price with currency symbol
+   * Format price with currency symbol, converted to the display currency
    * @param {number} price - Price value
-   * @param {string} currency - Currency code
+   * @param {string} currency - Currency code the price is in
+   */
+  const formatPrice = (price, currency = BASE_CURRENCY) => {
+    const converted = convertAmount(price, currency, displayCurrency);
+    return converted === null
+      ? formatMoney(price, currency)
+      : formatMoney(converted, displayCurrency);
+  };
+
+  /**
+   * Describe what the provider actually quoted, for hover text
+   * @param {Object} offer - Ticket or pricing option with sourcePrice/sourceCurrency
+   * @returns {string|undefined} e.g. "Quoted as ₹24,500.00 (INR)"
+   */
+  const getQuoteTitle = (offer) => {
+    if (!offer?.sourceCurrency || offer.sourcePrice === null || offer.sourcePrice === undefined) {
+      return undefined;
+    }
+    if (offer.sourceCurrency === displayCurrency) {
+      return `Quoted in ${offer.sourceCurrency}`;
+    }
+    return `Quoted as ${formatMoney(offer.sourcePrice, offer.sourceCurrency)} (${offer.sourceCurrency})`;
+  };
+
+  /**
+   * The currency the alert form takes prices in
+   * Falls back to the base currency, like formatPrice, when there's no rate.
+   */
+  const alertCurrency = convertAmount(1, BASE_CURRENCY, displayCurrency) === null
+    ? BASE_CURRENCY
+    : displayCurrency;
+
+  /**
+   * Open or close the price alert form, suggesting a target below today's fare
+   */
+  const togglePriceAlert = () => {
+    if (!showPriceAlert) {
+      const price = convertAmount(ticket.price, BASE_CURRENCY, alertCurrency);
+      setAlertTarget(String(Math.floor(price * (1 - SUGGESTED_ALERT_DISCOUNT))));
+      setAlertStatus(null);
+    }
+    setShowPriceAlert(!showPriceAlert);
+  };
+
+  /**
+   * Save the price alert with the target converted to the base currency
+   */
+  const handleSetAlert = async () => {
+    const target = parseFloat(alertTarget);
+    if (!Number.isFinite(target) || target <= 0) {
+      setAlertStatus({ type: 'error', message: 'Please enter a target price above zero' });
+      return;
+    }
+
+    setAlertStatus({ type: 'saving' });
+    try {
+      await onCreateAlert(ticket, convertAmount(target, alertCurrency, BASE_CURRENCY));
+      setAlertStatus({
+        type: 'saved',
+        message: `We'll let you know when this route drops below ${formatMoney(target, alertCurrency)}`
+      });
+    } catch (error) {
+      setAlertStatus({ type: 'error', message: 'The alert could not be saved. Please try again.' });
+    }
+  };
+
+  /**
+   * Describe who the price covers
+   * `ticket.price` is the fare for every traveller in the search, so it's
+   * only a per-person price for a single traveller.
+   * @returns {string} e.g. "per person" or "round trip, total for 2 adults, 1 child"
    */
-  const formatPrice = (price, currency = 'USD') => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: currency
-    }).format(price);
+  const getPriceBasis = () => {
+    const { adults, children, infants } = normalizePassengers(passengers);
+    const basis = adults + children + infants > 1
+      ? `total for ${formatPassengerSummary(passengers)}`
+      : 'per person';
+    return ticket.inbound ? `round trip, ${basis}` : basis;
   };
 
   /**
@@ -85,6 +172,8 @@ const TicketCard = ({ ticket }) => {
 
   /**
    * Get price trend indicator
+   * `originalPrice` is the route's cheapest fare at the previous search, set
+   * when this fare beats it.
    */
   const getPriceTrend = () => {
     if (ticket.originalPrice && ticket.originalPrice > ticket.price) {
@@ -96,36 +185,244 @@ const TicketCard = ({ ticket }) => {
   };
 
   /**
-   * Calculate and format duration if not provided
-   * @param {string} departureTime - Departure time
-   * @param {string} arrivalTime - Arrival time
-   * @param {string} providedDuration - Duration from ticket data
+   * Get an airport's IANA time zone
+   * @param {string} code - IATA airport code
+   * @returns {string|undefined} Zone, or undefined for airports we don't know
+   */
+  const getAirportZone = (code) => getAirport(code)?.timezone;
+
+  /**
+   * Format a duration, working it out across time zones if not provided
+   * @param {Object} leg - Ticket, inbound leg or segment with origin, destination and times
+   * @returns {string} e.g. "9h 30m", or 'N/A' when it can't be known
    */
-  const getDuration = (departureTime, arrivalTime, providedDuration) => {
-    if (providedDuration && providedDuration !== 'N/A') {
-      return formatDuration ? formatDuration(providedDuration) : providedDuration;
+  const getDuration = (leg) => {
+    if (leg.duration && leg.duration !== 'N/A') {
+      return formatDuration(leg.duration);
     }
 
-    // Calculate duration if not provided
-    try {
-      const departure = new Date(departureTime);
-      const arrival = new Date(arrivalTime);
-      const diffMs = arrival.getTime() - departure.getTime();
-      const hours = Math.floor(diffMs / (1000 * 60 * 60));
-      const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
-      
-      if (hours > 0) {
-        return `${hours}h ${minutes}m`;
-      } else {
-        return `${minutes}m`;
-      }
-    } catch (error) {
-      // If calculation fails, return a default
-      return '1h 0m';
+    const minutes = getZonedDurationMinutes(
+      leg.departureTime, getAirportZone(leg.origin?.code),
+      leg.arrivalTime, getAirportZone(leg.destination?.code)
+    );
+    return minutes === null ? 'N/A' : formatDuration(minutes);
+  };
+
+  /**
+   * Describe a time in its airport's zone
+   * @param {string} timeString - Departure or arrival time
+   * @param {string} code - Airport the time belongs to
+   * @param {Object} [reference] - { time, code } of the departure to count days from
+   * @returns {Object} { time, zoneLabel, dayOffset }
+   */
+  const describeTime = (timeString, code, reference) => (
+    describeFlightTime(timeString, getAirportZone(code), reference?.time, getAirportZone(reference?.code))
+    || { time: formatTime(timeString), zoneLabel: '', dayOffset: 0 }
+  );
+
+  /**
+   * Text for an arrival on a different local date than the departure
+   * @param {number} dayOffset - Calendar days after departure
+   * @returns {string} e.g. "+1 day", or empty for the same day
+   */
+  const getDayOffsetText = (dayOffset) => {
+    if (!dayOffset) return '';
+    const days = Math.abs(dayOffset) === 1 ? 'day' : 'days';
+    return `${dayOffset > 0 ? '+' : '−'}${Math.abs(dayOffset)} ${days}`;
+  };
+
+  /**
+   * Render a time with its zone label, and a day marker for arrivals
+   * @param {string} className - CSS class for the container
+   * @param {string} timeString - Departure or arrival time
+   * @param {string} code - Airport the time belongs to
+   * @param {Object} [reference] - { time, code } of the departure, for arrivals
+   */
+  const renderTime = (className, timeString, code, reference) => {
+    const { time, zoneLabel, dayOffset } = describeTime(timeString, code, reference);
+    const dayOffsetText = getDayOffsetText(dayOffset);
+
+    return (
+      <div className={className}>
+        {time}
+        {zoneLabel && <span className="time-zone"> {zoneLabel}</span>}
+        {dayOffsetText && (
+          <span className="day-offset" title="Arrives on a different local date than it departs">
+            {dayOffsetText}
+          </span>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * Format a segment time as text, in its airport's zone
+   * @param {string} timeString - Departure or arrival time
+   * @param {string} code - Airport the time belongs to
+   * @param {Object} [reference] - { time, code } of the leg's departure
+   * @returns {string} e.g. "10:45 PM GMT+4 +1 day"
+   */
+  const formatZonedTime = (timeString, code, reference) => {
+    const { time, zoneLabel, dayOffset } = describeTime(timeString, code, reference);
+    return [time, zoneLabel, getDayOffsetText(dayOffset)].filter(Boolean).join(' ');
+  };
+
+  /**
+   * Label an airport that was found through a metro area search
+   * @param {string|null} metroCode - Metro area searched on this side, e.g. "LON"
+   * @param {string} airportCode - Airport the flight actually uses
+   */
+  const renderMetroTag = (metroCode, airportCode) => {
+    const metro = getMetroArea(metroCode);
+    if (!metro) return null;
+
+    return (
+      <div
+        className="metro-airport-tag"
+        title={`You searched all ${metro.city} airports; this flight uses ${airportCode}`}
+      >
+        {metro.city} · {airportCode}
+      </div>
+    );
+  };
+
+  /**
+   * Label an airport that was added as a nearby alternative
+   * @param {Object|null} nearby - { from, distanceKm } for this side
+   */
+  const renderNearbyTag = (nearby) => {
+    if (!nearby) return null;
+
+    return (
+      <div className="nearby-airport-tag" title={`Nearby alternative to ${nearby.from}`}>
+        {nearby.distanceKm} km from {nearby.from}
+      </div>
+    );
+  };
+
+  /**
+   * Render the route row for one direction of the trip
+   * @param {Object} leg - Ticket or inbound leg with origin, destination and times
+   * @param {string|null} label - Direction label shown for round trips
+   * @param {Object} [metroArea] - Metro codes searched for this direction's { origin, destination }
+   * @param {Object} [nearby] - Nearby-airport details for this direction's { origin, destination }
+   */
+  const renderRoute = (leg, label, metroArea = {}, nearby = {}) => (
+    <div className="flight-route">
+      {label && <div className="route-direction">{label}</div>}
+      <div className="route-point">
+        {renderMetroTag(metroArea.origin, leg.origin.code)}
+        {renderNearbyTag(nearby.origin)}
+        <div className="airport-code">{leg.origin.code}</div>
+        <div className="airport-name">{leg.origin.name}</div>
+        {renderTime('departure-time', leg.departureTime, leg.origin.code)}
+      </div>
+
+      <div className="route-info">
+        <div className="flight-duration">
+          <span className="duration-text">
+            {getDuration(leg)}
+          </span>
+        </div>
+        <div className="route-line">
+          <div className="line"></div>
+          <div className="plane-icon">✈️</div>
+          <div className="line"></div>
+        </div>
+        <div className="stops-info">
+          <span className="stops-text">{getStopText(leg.stops)}</span>
+        </div>
+      </div>
+
+      <div className="route-point">
+        {renderMetroTag(metroArea.destination, leg.destination.code)}
+        {renderNearbyTag(nearby.destination)}
+        <div className="airport-code">{leg.destination.code}</div>
+        <div className="airport-name">{leg.destination.name}</div>
+        {renderTime('arrival-time', leg.arrivalTime, leg.destination.code, {
+          time: leg.departureTime,
+          code: leg.origin.code
+        })}
+      </div>
+    </div>
+  );
+
+  /**
+   * Render connection airports and layover times for one direction
+   * @param {Object} leg - Ticket or inbound leg with layovers
+   */
+  const renderLayovers = (leg) => {
+    if (!leg.layovers || leg.layovers.length === 0) return null;
+
+    return (
+      <div className="layover-info">
+        <span className="layover-text">
+          Layover in {leg.layovers
+            .map(layover => layover.duration
+              ? `${layover.code} (${formatDuration(layover.duration)})`
+              : layover.code)
+            .join(', ')}
+        </span>
+      </div>
+    );
+  };
+
+  /**
+   * Render each flight segment of one direction
+   * @param {Object} leg - Ticket or inbound leg with segments
+   * @param {string} title - Section title
+   */
+  const renderSegments = (leg, title) => {
+    if (!leg.segments || leg.segments.length < 2) return null;
+
+    const legDeparture = { time: leg.departureTime, code: leg.origin.code };
+
+    return (
+      <div className="segments-section">
+        <h4>{title}</h4>
+        <ol className="segments-list">
+          {leg.segments.map((segment, index) => (
+            <li key={index} className="segment-item">
+              <span className="segment-flight">
+                {segment.airline.code} {segment.flightNumber}
+              </span>
+              <span className="segment-route">
+                {segment.origin.code} {formatZonedTime(segment.departureTime, segment.origin.code, legDeparture)}
+                {' → '}
+                {segment.destination.code} {formatZonedTime(segment.arrivalTime, segment.destination.code, legDeparture)}
+              </span>
+              <span className="segment-duration">{getDuration(segment)}</span>
+            </li>
+          ))}
+        </ol>
+      </div>
+    );
+  };
+
+  /**
+   * Get the offer the user picked to book with, and its link
+   * Falls back to the ticket-level link when the chosen agent has none.
+   */
+  const getSelectedBooking = () => {
+    const option = ticket.pricingOptions?.[selectedOptionIndex] || null;
+    return {
+      option,
+      url: option?.bookingUrl || (ticket.bookingUrl && ticket.bookingUrl !== '#' ? ticket.bookingUrl : null)
+    };
+  };
+
+  /**
+   * Open the selected agent's booking page in a new tab
+   */
+  const handleBook = () => {
+    const { url } = getSelectedBooking();
+    if (url) {
+      window.open(url, '_blank', 'noopener,noreferrer');
     }
   };
 
   const priceTrend = getPriceTrend();
+  const selectedBooking = getSelectedBooking();
 
   return (
     <div className={`ticket-card ${isExpanded ? 'expanded' : ''} ${priceTrend ? 'has-savings' : ''}`}>
@@ -150,60 +447,34 @@ const TicketCard = ({ ticket }) => {
           </div>
           
           {/* Price Alert Button */}
-          <button 
-            className="price-alert-btn"
-            onClick={() => setShowPriceAlert(!showPriceAlert)}
-            title="Set price alert"
-          >
-            🔔
-          </button>
+          {onCreateAlert && (
+            <button 
+              className="price-alert-btn"
+              onClick={togglePriceAlert}
+              title="Set price alert"
+            >
+              🔔
+            </button>
+          )}
         </div>
       </div>
 
       {/* Flight Route Information */}
-      <div className="flight-route">
-        <div className="route-point">
-          <div className="airport-code">{ticket.origin.code}</div>
-          <div className="airport-name">{ticket.origin.name}</div>
-          <div className="departure-time">{formatTime ? formatTime(ticket.departureTime) : ticket.departureTime}</div>
-        </div>
-
-        <div className="route-info">
-          <div className="flight-duration">
-            <span className="duration-text">
-              {getDuration(ticket.departureTime, ticket.arrivalTime, ticket.duration)}
-            </span>
-          </div>
-          <div className="route-line">
-            <div className="line"></div>
-            <div className="plane-icon">✈️</div>
-            <div className="line"></div>
-          </div>
-          <div className="stops-info">
-            <span className="stops-text">{getStopText(ticket.stops)}</span>
-          </div>
-        </div>
-
-        <div className="route-point">
-          <div className="airport-code">{ticket.destination.code}</div>
-          <div className="airport-name">{ticket.destination.name}</div>
-          <div className="arrival-time">{formatTime ? formatTime(ticket.arrivalTime) : ticket.arrivalTime}</div>
-        </div>
-      </div>
-
-      {/* Layover Information */}
-      {ticket.layover && ticket.layover.length > 0 && (
-        <div className="layover-info">
-          <span className="layover-text">
-            Layover in {ticket.layover.join(', ')}
-          </span>
-        </div>
-      )}
+      {renderRoute(ticket, ticket.inbound ? 'Outbound' : null, ticket.metroArea, ticket.nearby)}
+      {renderLayovers(ticket)}
+      {ticket.inbound && renderRoute(ticket.inbound, 'Return', {
+        origin: ticket.metroArea?.destination,
+        destination: ticket.metroArea?.origin
+      }, {
+        origin: ticket.nearby?.destination,
+        destination: ticket.nearby?.origin
+      })}
+      {ticket.inbound && renderLayovers(ticket.inbound)}
 
       {/* Pricing Section */}
       <div className="pricing-section">
         <div className="price-main">
-          <div className="current-price">
+          <div className="current-price" title={getQuoteTitle(ticket)}>
             {formatPrice(ticket.price, ticket.currency)}
           </div>
           {priceTrend && (
@@ -211,7 +482,7 @@ const TicketCard = ({ ticket }) => {
               <span className="savings-badge">
                 Save {formatPrice(priceTrend.savings, ticket.currency)} ({priceTrend.savingsPercent}%)
               </span>
-              <span className="original-price">
+              <span className="original-price" title="Cheapest fare when this route was last searched">
                 {formatPrice(ticket.originalPrice, ticket.currency)}
               </span>
             </div>
@@ -219,11 +490,74 @@ const TicketCard = ({ ticket }) => {
         </div>
         
         <div className="price-details">
-          <span className="per-person">per person</span>
-          <span className="provider">via {ticket.provider}</span>
+          <span className="per-person">
+            {getPriceBasis()}
+          </span>
+          <span className="provider">
+            via {ticket.pricingOptions?.[0]?.agent?.name || ticket.provider}
+          </span>
         </div>
       </div>
 
+      {/* Booking Agents, cheapest first */}
+      {ticket.pricingOptions && ticket.pricingOptions.length > 1 && (
+        <div className="agent-prices">
+          <h4>Where to book ({ticket.pricingOptions.length} offers)</h4>
+          <ol className="agent-list">
+            {(isExpanded
+              ? ticket.pricingOptions
+              : ticket.pricingOptions.slice(0, COLLAPSED_AGENT_COUNT)
+            ).map((option, index) => (
+              <li
+                key={option.agent?.id || index}
+                className={`agent-item ${index === 0 ? 'cheapest' : ''} ${index === selectedOptionIndex ? 'selected' : ''}`}
+              >
+                <button
+                  type="button"
+                  className="agent-option"
+                  onClick={() => setSelectedOptionIndex(index)}
+                  aria-pressed={index === selectedOptionIndex}
+                  title={option.bookingUrl ? 'Book with this agent' : 'No booking link from this agent'}
+                >
+                  <span className="agent-rank">{index + 1}</span>
+                  <span className="agent-name">{option.agent?.name || ticket.provider}</span>
+                  {index === 0 && <span className="cheapest-badge">Cheapest</span>}
+                  <span className="agent-price" title={getQuoteTitle(option)}>
+                    {formatPrice(option.price, option.currency)}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ol>
+          {!isExpanded && ticket.pricingOptions.length > COLLAPSED_AGENT_COUNT && (
+            <span className="more-agents">
+              +{ticket.pricingOptions.length - COLLAPSED_AGENT_COUNT} more in details
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Booking Action */}
+      <div className="booking-section">
+        {selectedBooking.url ? (
+          <button className="book-now-btn" onClick={handleBook}>
+            Book Now
+            {selectedBooking.option?.agent?.name && ` with ${selectedBooking.option.agent.name}`}
+          </button>
+        ) : (
+          <>
+            <button className="book-now-btn" disabled>
+              Booking link unavailable
+            </button>
+            <span className="booking-fallback">
+              {ticket.pricingOptions?.some(option => option.bookingUrl)
+                ? 'This agent did not provide a link. Pick another agent above.'
+                : `Search ${ticket.airline.name} ${ticket.flightNumber} on the airline's website to book.`}
+            </span>
+          </>
+        )}
+      </div>
+
       {/* Expandable Section */}
       <div className="expandable-section">
         <button 
@@ -265,6 +599,10 @@ const TicketCard = ({ ticket }) => {
               </div>
             )}
 
+            {/* Connecting Flights */}
+            {renderSegments(ticket, ticket.inbound ? 'Outbound Connections' : 'Connections')}
+            {ticket.inbound && renderSegments(ticket.inbound, 'Return Connections')}
+
             {/* Flight Details */}
             <div className="flight-details-section">
               <h4>Flight Details</h4>
@@ -273,10 +611,18 @@ const TicketCard = ({ ticket }) => {
                   <span className="detail-label">Flight Number</span>
                   <span className="detail-value">{ticket.flightNumber}</span>
                 </div>
+                {ticket.inbound && (
+                  <div className="detail-item">
+                    <span className="detail-label">Return Flight</span>
+                    <span className="detail-value">
+                      {ticket.inbound.airline.name} {ticket.inbound.flightNumber}
+                    </span>
+                  </div>
+                )}
                 <div className="detail-item">
                   <span className="detail-label">Duration</span>
                   <span className="detail-value">
-                    {getDuration(ticket.departureTime, ticket.arrivalTime, ticket.duration)}
+                    {getDuration(ticket)}
                   </span>
                 </div>
                 <div className="detail-item">
@@ -298,28 +644,52 @@ const TicketCard = ({ ticket }) => {
         <div className="price-alert-modal">
           <div className="modal-content">
             <h3>Set Price Alert</h3>
-            <p>Get notified when prices drop for this flight</p>
-            <div className="alert-form">
-              <input 
-                type="email" 
-                placeholder="Enter your email"
-                className="email-input"
-              />
-              <input 
-                type="number" 
-                placeholder="Target price"
-                className="price-input"
-              />
-              <div className="alert-buttons">
-                <button className="set-alert-btn">Set Alert</button>
-                <button 
-                  className="cancel-btn"
-                  onClick={() => setShowPriceAlert(false)}
-                >
-                  Cancel
-                </button>
+            <p>
+              Get notified while this app is open when {ticket.origin.code} → {ticket.destination.code} drops
+              below your target. It's {formatPrice(ticket.price)} {getPriceBasis()} now.
+            </p>
+            {alertStatus?.type === 'saved' ? (
+              <div className="alert-form">
+                <p className="alert-message saved">{alertStatus.message}</p>
+                <div className="alert-buttons">
+                  <button className="set-alert-btn" onClick={() => setShowPriceAlert(false)}>
+                    Done
+                  </button>
+                </div>
               </div>
-            </div>
+            ) : (
+              <div className="alert-form">
+                <label className="price-input-label">
+                  Target price ({alertCurrency})
+                  <input 
+                    type="number" 
+                    min="1"
+                    placeholder="Target price"
+                    className="price-input"
+                    value={alertTarget}
+                    onChange={(e) => setAlertTarget(e.target.value)}
+                  />
+                </label>
+                {alertStatus?.type === 'error' && (
+                  <p className="alert-message error">{alertStatus.message}</p>
+                )}
+                <div className="alert-buttons">
+                  <button
+                    className="set-alert-btn"
+                    onClick={handleSetAlert}
+                    disabled={alertStatus?.type === 'saving'}
+                  >
+                    {alertStatus?.type === 'saving' ? 'Saving...' : 'Set Alert'}
+                  </button>
+                  <button 
+                    className="cancel-btn"
+                    onClick={() => setShowPriceAlert(false)}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,529 @@
+import airportRecords from '../data/airports.json';
+import metroAreaRecords from '../data/metroAreas.json';
+
+/**
+ * Airport database and helpers for turning user input into IATA codes
+ * Records live in src/data/airports.json; every lookup table below is derived
+ * from them at load time.
+ *
+ * @typedef {Object} Airport
+ * @property {string} code - IATA code
+ * @property {string} name - Official airport name
+ * @property {string} city - City the airport serves
+ * @property {string} country - Country name
+ * @property {string} countryCode - ISO 3166-1 alpha-2 country code
+ * @property {number} lat - Latitude in degrees
+ * @property {number} lon - Longitude in degrees
+ * @property {string} timezone - IANA time zone, e.g. "Asia/Kolkata"
+ * @property {string[]} aliases - Extra names people search for it by
+ */
+
+/**
+ * A city served by several airports, searched as one (e.g. LON, NYC)
+ * Records live in src/data/metroAreas.json; members are listed busiest first.
+ *
+ * @typedef {Object} MetroArea
+ * @property {string} code - IATA metropolitan area code
+ * @property {string} name - Display name, e.g. "London (all airports)"
+ * @property {string} city - City name
+ * @property {string} country - Country name
+ * @property {string} countryCode - ISO 3166-1 alpha-2 country code
+ * @property {string[]} airports - IATA codes of the member airports
+ */
+
+/**
+ * Normalize text for alias lookups
+ * Case, accents and punctuation are ignored, so "São Paulo", "sao paulo" and
+ * "Sao-Paulo" all match.
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+const normalizeAirportText = (text) => String(text)
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/** @type {Airport[]} */
+const AIRPORTS = airportRecords;
+
+/** @type {Map<string, Airport>} IATA code -> airport */
+const AIRPORTS_BY_CODE = new Map(AIRPORTS.map(airport => [airport.code, airport]));
+
+/** @type {MetroArea[]} */
+const METRO_AREAS = metroAreaRecords;
+
+/** @type {Map<string, MetroArea>} Metropolitan area code -> metro area */
+const METROS_BY_CODE = new Map(METRO_AREAS.map(metro => [metro.code, metro]));
+
+/** @type {Map<string, string[]>} Normalized city -> IATA codes */
+const AIRPORTS_BY_CITY = new Map();
+
+/** @type {Map<string, string[]>} ISO country code -> IATA codes */
+const AIRPORTS_BY_COUNTRY = new Map();
+
+/**
+ * Normalized alias -> IATA code
+ * Explicit aliases are indexed first, then metro areas, then airport names
+ * and cities, so "london" means LON (every London airport) rather than
+ * whichever London airport is listed first.
+ * @type {Map<string, string>}
+ */
+const ALIAS_INDEX = new Map();
+
+const addToIndex = (index, key, code) => {
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(code);
+};
+
+const addAlias = (alias, code) => {
+  const key = normalizeAirportText(alias);
+  if (key && !ALIAS_INDEX.has(key)) {
+    ALIAS_INDEX.set(key, code);
+  }
+};
+
+AIRPORTS.forEach(airport => {
+  addToIndex(AIRPORTS_BY_CITY, normalizeAirportText(airport.city), airport.code);
+  addToIndex(AIRPORTS_BY_COUNTRY, airport.countryCode, airport.code);
+  airport.aliases.forEach(alias => addAlias(alias, airport.code));
+});
+
+METRO_AREAS.forEach(metro => {
+  addAlias(metro.city, metro.code);
+  addAlias(metro.name, metro.code);
+});
+
+AIRPORTS.forEach(airport => {
+  addAlias(airport.name, airport.code);
+  addAlias(airport.city, airport.code);
+});
+
+/**
+ * Flat alias -> code map, kept for callers of the old lookup table
+ * @type {Object<string, string>}
+ */
+const AIRPORT_MAPPING = Object.fromEntries(ALIAS_INDEX);
+
+/**
+ * Get the full record for an airport
+ * @param {string} code - IATA code
+ * @returns {Airport|null} Airport, or null when it isn't in the database
+ */
+const getAirport = (code) => (
+  typeof code === 'string' ? AIRPORTS_BY_CODE.get(code.toUpperCase()) || null : null
+);
+
+/**
+ * Get a metropolitan area
+ * @param {string} code - IATA metropolitan area code, e.g. "LON"
+ * @returns {MetroArea|null} Metro area, or null when the code isn't one
+ */
+const getMetroArea = (code) => (
+  typeof code === 'string' ? METROS_BY_CODE.get(code.toUpperCase()) || null : null
+);
+
+/**
+ * Get the airports a code stands for
+ * @param {string} code - Airport or metropolitan area code
+ * @returns {string[]} Member airports for a metro area, otherwise just the code
+ */
+const expandAirportCode = (code) => getMetroArea(code)?.airports || [code];
+
+/**
+ * Get the one airport that stands in for a code when a single pair is searched
+ * @param {string} code - Airport or metropolitan area code
+ * @returns {string} A metro area's busiest airport, otherwise the code
+ */
+const getMainAirportCode = (code) => getMetroArea(code)?.airports[0] || code;
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two airports (haversine formula)
+ * @param {Airport} from - Airport with lat/lon
+ * @param {Airport} to - Airport with lat/lon
+ * @returns {number} Distance in kilometres
+ */
+const getDistanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Find airports within a radius of an airport or metro area
+ * For a metro area, distances are measured from its nearest member and the
+ * members themselves are left out.
+ * @param {string} code - Airport or metropolitan area code
+ * @param {number} radiusKm - Search radius in kilometres
+ * @returns {Array<{ code: string, airport: Airport, distanceKm: number }>}
+ *   Nearest first, distances rounded to whole kilometres
+ */
+const getNearbyAirports = (code, radiusKm) => {
+  const memberCodes = expandAirportCode(code);
+  const origins = memberCodes.map(member => AIRPORTS_BY_CODE.get(member)).filter(Boolean);
+
+  if (origins.length === 0 || !(radiusKm > 0)) {
+    return [];
+  }
+
+  return AIRPORTS
+    .filter(airport => !memberCodes.includes(airport.code))
+    .map(airport => ({
+      code: airport.code,
+      airport,
+      distanceKm: Math.round(Math.min(...origins.map(origin => getDistanceKm(origin, airport))))
+    }))
+    .filter(nearby => nearby.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+};
+
+/**
+ * Get every airport serving a city
+ * @param {string} city - City name, in any case or accenting
+ * @returns {Airport[]} Airports in database order
+ */
+const getAirportsInCity = (city) => (
+  (AIRPORTS_BY_CITY.get(normalizeAirportText(city || '')) || []).map(code => AIRPORTS_BY_CODE.get(code))
+);
+
+/**
+ * Get every airport in a country
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @returns {Airport[]} Airports in database order
+ */
+const getAirportsInCountry = (countryCode) => (
+  (AIRPORTS_BY_COUNTRY.get((countryCode || '').toUpperCase()) || []).map(code => AIRPORTS_BY_CODE.get(code))
+);
+
+/**
+ * How each kind of text counts towards a match
+ * A city is shared by every airport serving it, so it scores a little below
+ * an airport's own name or aliases - and below the metro area covering them
+ * all, so "London" means every London airport.
+ */
+const MATCH_WEIGHTS = { code: 1, alias: 1, name: 1, metro: 1, city: 0.92 };
+
+/**
+ * Resolution thresholds
+ * - MIN_SCORE: candidates below this aren't worth showing
+ * - MIN_CONFIDENCE: the best candidate needs at least this to be used unasked
+ * - AMBIGUITY_MARGIN: a runner-up this close to the best makes the input ambiguous
+ */
+const RESOLUTION_CONFIG = {
+  MIN_SCORE: 0.45,
+  MIN_CONFIDENCE: 0.6,
+  AMBIGUITY_MARGIN: 0.05,
+  MAX_CANDIDATES: 5,
+};
+
+/**
+ * Every searchable text per airport, normalized once at load time
+ * @type {Array<{ code: string, text: string, tokens: string[], kind: string }>}
+ */
+const SEARCH_ENTRIES = [];
+
+AIRPORTS.forEach(airport => {
+  const seen = new Set();
+  const addEntry = (text, kind) => {
+    const normalized = normalizeAirportText(text || '');
+    if (normalized && !seen.has(normalized)) {
+      seen.add(normalized);
+      SEARCH_ENTRIES.push({ code: airport.code, text: normalized, tokens: normalized.split(' '), kind });
+    }
+  };
+
+  airport.aliases.forEach(alias => addEntry(alias, 'alias'));
+  addEntry(airport.name, 'name');
+  addEntry(airport.city, 'city');
+});
+
+METRO_AREAS.forEach(metro => {
+  [metro.city, metro.name].forEach(text => {
+    const normalized = normalizeAirportText(text);
+    SEARCH_ENTRIES.push({ code: metro.code, text: normalized, tokens: normalized.split(' '), kind: 'metro' });
+  });
+});
+
+/**
+ * Edit distance counting a swap of two neighbouring letters as one typo
+ * (optimal string alignment), giving up once it's certain to exceed `max`
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance worth computing
+ * @returns {number} Distance, or max + 1 when it's larger than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  let previousMin = 0;
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    // A swap reaches back two rows, so both have to be out of range
+    if (rowMin > max && previousMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+    previousMin = rowMin;
+  }
+
+  return Math.min(previous[b.length], max + 1);
+};
+
+/**
+ * Typos allowed for an input of a given length
+ * @param {number} length - Input length
+ * @returns {number} Maximum edit distance
+ */
+const allowedTypos = (length) => {
+  if (length < 4) return 0;
+  if (length <= 5) return 1;
+  return length <= 9 ? 2 : 3;
+};
+
+/**
+ * Score one searchable text against normalized input
+ * Exact matches beat prefixes, prefixes beat whole-word matches and those beat
+ * near misses found by edit distance.
+ * @param {string} input - Normalized input
+ * @param {string[]} inputTokens - Input split into words
+ * @param {Object} entry - Entry from SEARCH_ENTRIES
+ * @returns {Object|null} { score, matchType }, or null when it doesn't match
+ */
+const scoreEntry = (input, inputTokens, entry) => {
+  const { text, tokens } = entry;
+
+  if (text === input) {
+    return { score: 0.98, matchType: 'exact' };
+  }
+
+  if (input.length >= 2 && text.startsWith(input)) {
+    return { score: 0.7 + 0.2 * (input.length / text.length), matchType: 'prefix' };
+  }
+
+  // Every input word is a word (or the start of one) in the text, in any order
+  const tokenMatches = inputTokens.every(token => (
+    tokens.some(word => word === token || (token.length >= 3 && word.startsWith(token)))
+  ));
+  if (tokenMatches) {
+    const coverage = inputTokens.join('').length / tokens.join('').length;
+    return { score: Math.min(0.55 + 0.25 * coverage, 0.85), matchType: 'token' };
+  }
+
+  const maxTypos = allowedTypos(input.length);
+  if (maxTypos === 0) {
+    return null;
+  }
+
+  // Near misses against the whole text, or against a single word for one-word input
+  const comparisons = inputTokens.length === 1 ? [text, ...tokens] : [text];
+  let best = null;
+  comparisons.forEach(candidate => {
+    const distance = editDistance(input, candidate, maxTypos);
+    if (distance <= maxTypos) {
+      const similarity = 1 - distance / Math.max(input.length, candidate.length);
+      // Matching one word of a longer name is weaker evidence than matching all of it
+      const score = (0.35 + 0.45 * similarity) * (candidate === text ? 1 : 0.9);
+      if (!best || score > best.score) {
+        best = { score, matchType: 'fuzzy' };
+      }
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Rank the airports that could be meant by some input
+ * @param {string} input - Airport name, city name, alias or IATA code
+ * @param {number} [limit] - Maximum number of candidates
+ * @returns {Array<Object>} Candidates, best first:
+ *   { code, airport, confidence, matchType, matchedText }. `confidence` runs
+ *   from 0 to 1. `airport` is the MetroArea for metro codes, and null for a
+ *   well-formed code that isn't in the database (matchType 'unlisted-code').
+ */
+const getAirportCandidates = (input, limit = RESOLUTION_CONFIG.MAX_CANDIDATES) => {
+  const normalizedInput = normalizeAirportText(input || '');
+  // A single character matches too much to mean anything
+  if (normalizedInput.length < 2) {
+    return [];
+  }
+
+  const inputTokens = normalizedInput.split(' ');
+  const best = new Map();
+  const consider = (code, score, matchType, matchedText) => {
+    const current = best.get(code);
+    if (score >= RESOLUTION_CONFIG.MIN_SCORE && (!current || score > current.confidence)) {
+      const airport = AIRPORTS_BY_CODE.get(code) || METROS_BY_CODE.get(code) || null;
+      best.set(code, { code, airport, confidence: score, matchType, matchedText });
+    }
+  };
+
+  const upperInput = normalizedInput.toUpperCase();
+  if (/^[a-z]{3}$/.test(normalizedInput) && (AIRPORTS_BY_CODE.has(upperInput) || METROS_BY_CODE.has(upperInput))) {
+    consider(upperInput, 1, 'code', upperInput);
+  }
+
+  SEARCH_ENTRIES.forEach(entry => {
+    const match = scoreEntry(normalizedInput, inputTokens, entry);
+    if (match) {
+      consider(entry.code, match.score * MATCH_WEIGHTS[entry.kind], match.matchType, entry.text);
+    }
+  });
+
+  // A code we don't know may still be a real airport; offer it, but never on its own authority
+  if (/^[a-z]{3}$/.test(normalizedInput) && !best.has(upperInput)) {
+    consider(upperInput, 0.5, 'unlisted-code', upperInput);
+  }
+
+  return [...best.values()]
+    .map(candidate => ({ ...candidate, confidence: Math.round(candidate.confidence * 100) / 100 }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+};
+
+/**
+ * Decide which airport some input means
+ * The input is 'resolved' when the best candidate is confident and clearly
+ * ahead of the runner-up, 'ambiguous' when the user should pick between
+ * candidates, and 'unresolved' when nothing matches at all.
+ * @param {string} input - Airport name, city name, alias or IATA code
+ * @returns {Object} { input, status, code, candidates } - `code` is only set
+ *   when resolved
+ */
+const resolveAirport = (input) => {
+  const candidates = getAirportCandidates(input);
+  const [top, runnerUp] = candidates;
+
+  if (!top) {
+    return { input, status: 'unresolved', code: null, candidates };
+  }
+
+  const isConfident = top.confidence >= RESOLUTION_CONFIG.MIN_CONFIDENCE;
+  const isClear = !runnerUp || top.confidence - runnerUp.confidence >= RESOLUTION_CONFIG.AMBIGUITY_MARGIN;
+
+  if (isConfident && isClear) {
+    return { input, status: 'resolved', code: top.code, candidates };
+  }
+
+  return { input, status: 'ambiguous', code: null, candidates };
+};
+
+/**
+ * Convert airport name/city to IATA code
+ * Returns the best-ranked candidate even when it's ambiguous; use
+ * resolveAirport to find out whether the user should be asked.
+ * @param {string} input - Airport name, city name, or IATA code
+ * @returns {string} - IATA airport code, or the input uppercased when nothing matches
+ */
+const getAirportCode = (input) => {
+  if (!input || typeof input !== 'string') {
+    return input;
+  }
+
+  const [top] = getAirportCandidates(input, 1);
+  return top ? top.code : input.toUpperCase();
+};
+
+/**
+ * Validate airport code
+ * @param {string} code - Airport code to validate
+ * @returns {boolean} - Whether the code is valid
+ */
+const isValidAirportCode = (code) => {
+  return /^[A-Z]{3}$/.test(code) && AIRPORTS_BY_CODE.has(code);
+};
+
+/**
+ * Get airport name from code
+ * @param {string} code - IATA airport or metropolitan area code
+ * @returns {string} - Official airport name, or the code when it's unknown
+ */
+const getAirportName = (code) => {
+  return getAirport(code)?.name || getMetroArea(code)?.name || code;
+};
+
+/**
+ * Get airport suggestions for autocomplete
+ * Uses the same ranking as airport resolution, plus airports whose code starts
+ * with what's been typed so far ("LH" already offers LHR). Metro areas
+ * ("London (all airports)") are suggested alongside airports.
+ * @param {string} query - Search query
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {Promise<Array>} Promise resolving to array of airport suggestions:
+ *   { code, name, city, country, confidence }, best first
+ */
+const getAirportSuggestions = async (query, limit = 8) => {
+  try {
+    const trimmed = (query || '').trim();
+    if (trimmed.length < 2) {
+      return [];
+    }
+
+    const scores = new Map();
+    getAirportCandidates(trimmed, limit)
+      .filter(candidate => candidate.airport)
+      .forEach(candidate => scores.set(candidate.code, candidate.confidence));
+
+    const upperQuery = trimmed.toUpperCase();
+    if (/^[A-Z]{2,3}$/.test(upperQuery)) {
+      [...METRO_AREAS, ...AIRPORTS]
+        .filter(airport => airport.code.startsWith(upperQuery))
+        .forEach(airport => {
+          // A full code is matched exactly by getAirportCandidates; two letters rank like a prefix
+          const score = Math.max(scores.get(airport.code) || 0, 0.8);
+          scores.set(airport.code, score);
+        });
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([code, confidence]) => {
+        const { name, city, country } = getAirport(code) || getMetroArea(code);
+        return { code, name, city, country, confidence };
+      });
+
+  } catch (error) {
+    console.error('Airport suggestion error:', error);
+    return [];
+  }
+};
+
+export {
+  getAirport,
+  getAirportCandidates,
+  getAirportCode,
+  getAirportName,
+  getAirportSuggestions,
+  getAirportsInCity,
+  getAirportsInCountry,
+  getDistanceKm,
+  getMainAirportCode,
+  getMetroArea,
+  getNearbyAirports,
+  expandAirportCode,
+  isValidAirportCode,
+  normalizeAirportText,
+  resolveAirport,
+  AIRPORTS,
+  METRO_AREAS,
+  AIRPORT_MAPPING
+};
@@ -0,0 +1,17 @@
+import { resolveAirport } from './airports';
+
+describe('resolveAirport typo tolerance', () => {
+  test('resolves a city with one letter wrong', () => {
+    expect(resolveAirport('frankfrt')).toMatchObject({ status: 'resolved', code: 'FRA' });
+  });
+
+  test('counts two swapped letters as one typo', () => {
+    expect(resolveAirport('dehli')).toMatchObject({ status: 'resolved', code: 'DEL' });
+    expect(resolveAirport('mumbia')).toMatchObject({ status: 'resolved', code: 'BOM' });
+    expect(resolveAirport('lodnon')).toMatchObject({ status: 'resolved', code: 'LON' });
+  });
+
+  test('does not guess at very short input', () => {
+    expect(resolveAirport('dle').status).not.toBe('resolved');
+  });
+});
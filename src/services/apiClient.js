@@ -0,0 +1,222 @@
+import axios from 'axios';
+
+/**
+ * Read a non-negative integer from the environment
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value to use when unset or invalid
+ * @returns {number} Parsed value
+ */
+const readIntegerEnv = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+// Shared HTTP configuration for every flight provider
+const API_CONFIG = {
+  TIMEOUT: process.env.REACT_APP_API_TIMEOUT || 200000,
+  MAX_RETRIES: readIntegerEnv(process.env.REACT_APP_API_MAX_RETRIES, 2),
+  RETRY_BASE_DELAY_MS: readIntegerEnv(process.env.REACT_APP_API_RETRY_BASE_DELAY, 1000),
+  RETRY_MAX_DELAY_MS: readIntegerEnv(process.env.REACT_APP_API_RETRY_MAX_DELAY, 8000),
+  RETRY_MAX_TOTAL_WAIT_MS: readIntegerEnv(process.env.REACT_APP_API_RETRY_MAX_TOTAL_WAIT, 20000),
+};
+
+/**
+ * Create axios instance with default configuration
+ */
+const apiClient = axios.create({
+  timeout: API_CONFIG.TIMEOUT,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+/**
+ * Check whether an error means the request was cancelled on purpose
+ * Covers axios cancellations, fetch-style AbortErrors and createCancelledError.
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the request was aborted through its signal
+ */
+export const isCancelledRequest = (error) => (
+  axios.isCancel(error) || error?.name === 'AbortError' || error?.code === 'ERR_CANCELED'
+);
+
+/**
+ * Create the error a cancelled search rejects with
+ * For sources that don't go through axios, so callers can treat every
+ * cancellation the same way.
+ * @returns {Error} Cancellation error
+ */
+export const createCancelledError = () => {
+  const error = new Error('Search cancelled');
+  error.name = 'CanceledError';
+  error.code = 'ERR_CANCELED';
+  return error;
+};
+
+/**
+ * Resolve after a delay, or reject as cancelled if the signal aborts first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal for the search
+ * @returns {Promise<void>}
+ */
+export const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createCancelledError());
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createCancelledError());
+  };
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Check whether a failed request is worth retrying
+ * Only rate limiting (429) and server errors (5xx) are; everything else
+ * would fail the same way again.
+ * @param {Error} error - Request error
+ * @returns {boolean} True if the request may be retried
+ */
+export const isRetryableError = (error) => {
+  const status = error?.response?.status;
+  return status === 429 || (status >= 500 && status < 600);
+};
+
+/**
+ * Read the server's Retry-After header
+ * @param {Error} error - Request error
+ * @returns {number|null} Delay in milliseconds, or null when absent or unparseable
+ */
+const getRetryAfterMs = (error) => {
+  const headers = error?.response?.headers || {};
+  const retryAfter = headers['retry-after'] ?? headers['Retry-After'];
+
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+    return null;
+  }
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Exponential backoff with jitter for a retry
+ * Half the delay is fixed and half random, so simultaneous clients spread out.
+ * @param {number} retryNumber - 1 for the first retry, 2 for the second, ...
+ * @param {Object} config - { baseDelay, maxDelay }
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (retryNumber, { baseDelay, maxDelay }) => {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** (retryNumber - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+/**
+ * Run a request, retrying 429 and 5xx failures with backoff
+ * Honors Retry-After when the server sends it, and gives up as soon as the
+ * next wait would push the total time spent waiting past maxTotalWait.
+ * @param {Function} request - Performs one attempt and returns a promise
+ * @param {Object} [options] - Retry options, defaulting to the environment config
+ * @param {AbortSignal} [options.signal] - Cancels waiting between attempts
+ * @param {Function} [options.onAttempt] - Called with { attempt, maxAttempts, delay }
+ *   before each attempt; `delay` is how long we waited before it
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.baseDelay] - Backoff for the first retry, in ms
+ * @param {number} [options.maxDelay] - Longest single backoff, in ms
+ * @param {number} [options.maxTotalWait] - Cap on all waits combined, in ms
+ * @returns {Promise<any>} Result of the first successful attempt
+ */
+export const withRetry = async (request, {
+  signal,
+  onAttempt,
+  maxRetries = API_CONFIG.MAX_RETRIES,
+  baseDelay = API_CONFIG.RETRY_BASE_DELAY_MS,
+  maxDelay = API_CONFIG.RETRY_MAX_DELAY_MS,
+  maxTotalWait = API_CONFIG.RETRY_MAX_TOTAL_WAIT_MS
+} = {}) => {
+  const maxAttempts = maxRetries + 1;
+  let totalWait = 0;
+  let waited = 0;
+
+  for (let attempt = 1; ; attempt++) {
+    onAttempt?.({ attempt, maxAttempts, delay: waited });
+
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= maxAttempts || isCancelledRequest(error) || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const wait = getRetryAfterMs(error) ?? getBackoffDelay(attempt, { baseDelay, maxDelay });
+      if (totalWait + wait > maxTotalWait) {
+        throw error;
+      }
+
+      totalWait += wait;
+      waited = wait;
+      await delay(wait, signal);
+    }
+  }
+};
+
+/**
+ * Run a task for every item, at most `limit` at a time
+ * Like Promise.allSettled, but keeps the number of requests in flight within
+ * what the providers' rate limits allow. Once the signal aborts no new task
+ * starts, and the remaining ones settle as cancelled.
+ * @param {Array} items - Inputs, one task each
+ * @param {number} limit - Most tasks running at once
+ * @param {Function} task - Called with (item, index), returns a promise
+ * @param {AbortSignal} [signal] - Stops starting new tasks
+ * @returns {Promise<Array<Object>>} allSettled-style outcomes, in item order
+ */
+export const settleWithConcurrency = async (items, limit, task, signal) => {
+  const outcomes = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      if (signal?.aborted) {
+        outcomes[index] = { status: 'rejected', reason: createCancelledError() };
+        continue;
+      }
+
+      try {
+        outcomes[index] = { status: 'fulfilled', value: await task(items[index], index) };
+      } catch (error) {
+        outcomes[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runNext);
+  await Promise.all(workers);
+  return outcomes;
+};
+
+/**
+ * GET a URL with cancellation and automatic retries
+ * @param {string} url - Request URL
+ * @param {Object} [options] - withRetry options, including signal and onAttempt
+ * @returns {Promise<Object>} Axios response
+ */
+export const getWithRetry = (url, options = {}) => (
+  withRetry(() => apiClient.get(url, { signal: options.signal }), options)
+);
+
+export default apiClient;
@@ -0,0 +1,203 @@
+import defaultRates from '../data/exchangeRates.json';
+import { secureError } from './secureLogger';
+
+/**
+ * Currency conversion
+ * Every ticket price is stored in BASE_CURRENCY so fares from different
+ * providers compare directly; the amount the provider actually quoted is
+ * kept alongside as sourcePrice/sourceCurrency. Prices are converted to the
+ * user's display currency only when rendered.
+ */
+
+export const BASE_CURRENCY = 'USD';
+
+const CURRENCY_CONFIG = {
+  // Optional URL of a JSON file shaped like src/data/exchangeRates.json
+  RATES_URL: process.env.REACT_APP_EXCHANGE_RATES_URL,
+  DISPLAY_CURRENCY: (process.env.REACT_APP_DISPLAY_CURRENCY || BASE_CURRENCY).toUpperCase(),
+};
+
+// Symbols some providers send instead of ISO codes
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '₹': 'INR',
+  '¥': 'JPY',
+};
+
+/**
+ * Validate a rate table and rebase it on BASE_CURRENCY
+ * @param {Object} table - { base, updatedAt, source, rates: { CODE: unitsPerBase } }
+ * @returns {Object} Table with rates expressed per BASE_CURRENCY
+ */
+const normalizeRateTable = (table) => {
+  const rates = table?.rates;
+
+  if (!rates || typeof rates !== 'object' || !(rates[BASE_CURRENCY] > 0)) {
+    throw new Error(`Exchange rate table must include a positive rate for ${BASE_CURRENCY}`);
+  }
+
+  // Dividing by the base currency's rate works whatever currency the file uses as its base
+  const rebased = {};
+  Object.entries(rates).forEach(([code, rate]) => {
+    if (typeof rate === 'number' && rate > 0) {
+      rebased[code.toUpperCase()] = rate / rates[BASE_CURRENCY];
+    }
+  });
+
+  return {
+    base: BASE_CURRENCY,
+    updatedAt: table.updatedAt || null,
+    source: table.source || null,
+    rates: rebased
+  };
+};
+
+let rateTable = normalizeRateTable(defaultRates);
+
+/**
+ * Get the active rate table
+ * @returns {Object} { base, updatedAt, source, rates }
+ */
+export const getRateTable = () => rateTable;
+
+/**
+ * Replace the active rate table
+ * @param {Object} table - Table shaped like src/data/exchangeRates.json
+ * @returns {Object} The normalized table now in use
+ */
+export const setRateTable = (table) => {
+  rateTable = normalizeRateTable(table);
+  return rateTable;
+};
+
+/**
+ * Load rates from REACT_APP_EXCHANGE_RATES_URL, if configured
+ * The bundled table stays in use when the URL is unset or the load fails.
+ * @param {string} [url] - Rates URL, defaults to the configured one
+ * @returns {Promise<Object>} The rate table in use afterwards
+ */
+export const loadExchangeRates = async (url = CURRENCY_CONFIG.RATES_URL) => {
+  if (!url) {
+    return rateTable;
+  }
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Exchange rates request failed with status ${response.status}`);
+    }
+    return setRateTable(await response.json());
+  } catch (error) {
+    secureError('Failed to load exchange rates, using bundled rates:', error);
+    return rateTable;
+  }
+};
+
+/**
+ * Turn a currency code or symbol into an upper-case ISO code
+ * @param {string} currency - e.g. 'inr', 'INR' or '₹'
+ * @returns {string|null} ISO code, or null when empty
+ */
+export const normalizeCurrencyCode = (currency) => {
+  if (!currency || typeof currency !== 'string') return null;
+  const trimmed = currency.trim();
+  return CURRENCY_SYMBOLS[trimmed] || trimmed.toUpperCase();
+};
+
+/**
+ * Check whether a currency has a rate
+ * @param {string} currency - Currency code or symbol
+ * @returns {boolean} True if amounts in it can be converted
+ */
+export const isSupportedCurrency = (currency) => (
+  Boolean(rateTable.rates[normalizeCurrencyCode(currency)])
+);
+
+/**
+ * Currencies the user can pick for display
+ * @returns {string[]} ISO codes, base currency first
+ */
+export const getSupportedCurrencies = () => [
+  BASE_CURRENCY,
+  ...Object.keys(rateTable.rates).filter(code => code !== BASE_CURRENCY).sort()
+];
+
+/**
+ * Get the display currency configured for the app
+ * @returns {string} ISO code
+ */
+export const getDefaultDisplayCurrency = () => (
+  isSupportedCurrency(CURRENCY_CONFIG.DISPLAY_CURRENCY) ? CURRENCY_CONFIG.DISPLAY_CURRENCY : BASE_CURRENCY
+);
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @returns {number|null} Converted amount, or null when either currency has no rate
+ */
+export const convertAmount = (amount, from, to) => {
+  const fromRate = rateTable.rates[normalizeCurrencyCode(from)];
+  const toRate = rateTable.rates[normalizeCurrencyCode(to)];
+
+  if (!fromRate || !toRate || typeof amount !== 'number' || Number.isNaN(amount)) {
+    return null;
+  }
+
+  return (amount / fromRate) * toRate;
+};
+
+/**
+ * Convert a provider's quote to the base currency
+ * @param {number} amount - Quoted amount
+ * @param {string} currency - Quoted currency
+ * @returns {Object|null} { price, currency, sourcePrice, sourceCurrency }, or
+ *   null when the currency has no rate
+ */
+export const toBaseCurrency = (amount, currency) => {
+  const sourceCurrency = normalizeCurrencyCode(currency) || BASE_CURRENCY;
+  const price = convertAmount(amount, sourceCurrency, BASE_CURRENCY);
+
+  if (price === null) {
+    return null;
+  }
+
+  return { price, currency: BASE_CURRENCY, sourcePrice: amount, sourceCurrency };
+};
+
+/**
+ * Format an amount as money
+ * @param {number} amount - Amount to format
+ * @param {string} currency - ISO currency code
+ * @param {Object} [options] - Extra Intl.NumberFormat options, e.g. { maximumFractionDigits: 0 }
+ * @returns {string} Formatted amount, e.g. "$1,234.50"
+ */
+export const formatMoney = (amount, currency = BASE_CURRENCY, options = {}) => {
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      ...(options.maximumFractionDigits === 0 ? { minimumFractionDigits: 0 } : {}),
+      ...options
+    }).format(amount);
+  } catch (error) {
+    return `${Math.round(amount * 100) / 100} ${currency}`;
+  }
+};
+
+/**
+ * Format a base-currency amount in the display currency
+ * @param {number} amount - Amount in BASE_CURRENCY
+ * @param {string} displayCurrency - Currency to show
+ * @param {Object} [options] - Extra Intl.NumberFormat options
+ * @returns {string} Formatted amount, in the base currency if there's no rate
+ */
+export const formatConverted = (amount, displayCurrency, options = {}) => {
+  const converted = convertAmount(amount, BASE_CURRENCY, displayCurrency);
+  return converted === null
+    ? formatMoney(amount, BASE_CURRENCY, options)
+    : formatMoney(converted, displayCurrency, options);
+};
@@ -0,0 +1,172 @@
+/**
+ * Error types for flight searches
+ * Every error a search can surface carries a stable `code`, so callers and
+ * the UI can branch on the kind of failure instead of on its wording.
+ */
+
+export const ERROR_CODES = {
+  VALIDATION: 'validation',
+  AIRPORT_UNRESOLVED: 'airport-unresolved',
+  QUOTA: 'quota',
+  AUTH: 'auth',
+  RATE_LIMIT: 'rate-limit',
+  NOT_FOUND: 'not-found',
+  UPSTREAM_DOWN: 'upstream-down',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Base class for every error a flight search reports to the user
+ * `message` is safe to display; `cause` keeps the original error for logging.
+ */
+export class FlightSearchError extends Error {
+  /**
+   * @param {string} message - User-facing message
+   * @param {Object} [options] - Extra details
+   * @param {string} [options.code] - One of ERROR_CODES
+   * @param {Error} [options.cause] - Underlying error
+   * @param {string} [options.providerId] - Provider the failure came from
+   */
+  constructor(message, { code = ERROR_CODES.UNKNOWN, cause, providerId } = {}) {
+    super(message);
+    this.name = 'FlightSearchError';
+    this.code = code;
+    this.cause = cause;
+    this.providerId = providerId;
+  }
+}
+
+/**
+ * The search parameters themselves are wrong (missing fields, bad dates, ...)
+ */
+export class ValidationError extends FlightSearchError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.VALIDATION });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * An origin or destination couldn't be turned into an airport code, either
+ * because nothing matched or because several airports matched about equally
+ */
+export class AirportUnresolvedError extends FlightSearchError {
+  /**
+   * @param {string} message - User-facing message
+   * @param {Object} [options] - Extra details
+   * @param {Array<Object>} [options.resolutions] - One entry per field that
+   *   needs the user's help: { field, legIndex, input, status, candidates },
+   *   where `field` is 'origin' or 'destination', `legIndex` is set for
+   *   multi-city legs and `candidates` come from getAirportCandidates
+   */
+  constructor(message, { resolutions = [], ...options } = {}) {
+    super(message, { ...options, code: ERROR_CODES.AIRPORT_UNRESOLVED });
+    this.name = 'AirportUnresolvedError';
+    this.resolutions = resolutions;
+    this.inputs = resolutions.map(resolution => resolution.input);
+  }
+}
+
+/**
+ * The provider refused the request because the plan's quota is used up (HTTP 403)
+ */
+export class QuotaError extends FlightSearchError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.QUOTA });
+    this.name = 'QuotaError';
+  }
+}
+
+/**
+ * The provider rejected our credentials (HTTP 401)
+ */
+export class AuthError extends FlightSearchError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.AUTH });
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * Too many requests, even after retrying (HTTP 429)
+ */
+export class RateLimitError extends FlightSearchError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.RATE_LIMIT });
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * The search ran but there are no flights for it
+ */
+export class NotFoundError extends FlightSearchError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.NOT_FOUND });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The provider is failing (HTTP 5xx) or sent something we can't read
+ */
+export class UpstreamError extends FlightSearchError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.UPSTREAM_DOWN });
+    this.name = 'UpstreamError';
+  }
+}
+
+/**
+ * The request took longer than API_CONFIG.TIMEOUT
+ */
+export class TimeoutError extends FlightSearchError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.TIMEOUT });
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * The request never reached the provider (offline, DNS, CORS, ...)
+ */
+export class NetworkError extends FlightSearchError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: ERROR_CODES.NETWORK });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Check whether an error is one of ours
+ * @param {any} error - Anything that was thrown
+ * @returns {boolean} True for FlightSearchError and its subclasses
+ */
+export const isFlightSearchError = (error) => error instanceof FlightSearchError;
+
+/**
+ * Get the stable code for any thrown value
+ * @param {any} error - Anything that was thrown
+ * @returns {string} One of ERROR_CODES
+ */
+export const getErrorCode = (error) => (
+  isFlightSearchError(error) ? error.code : ERROR_CODES.UNKNOWN
+);
+
+/**
+ * Wrap an unexpected error so it can be shown like any other
+ * FlightSearchErrors are returned unchanged.
+ * @param {any} error - Anything that was thrown
+ * @param {string} [prefix] - Text to put before the original message
+ * @returns {FlightSearchError} Error with a code
+ */
+export const toFlightSearchError = (error, prefix = 'Flight search failed') => {
+  if (isFlightSearchError(error)) {
+    return error;
+  }
+
+  const message = error?.message || String(error || 'An unexpected error occurred');
+  return new FlightSearchError(`${prefix}: ${message}`, { cause: error });
+};
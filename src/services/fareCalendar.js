@@ -0,0 +1,233 @@
+import { createStore } from './storage';
+import { secureError } from './secureLogger';
+import { createCancelledError, delay, settleWithConcurrency } from './apiClient';
+import { searchFlights } from './apiServices';
+import { getMainAirportCode, resolveAirport } from './airports';
+import { getEnabledProviders } from './providers';
+import { buildCacheKey } from './searchCache';
+import { ERROR_CODES, NotFoundError } from './errors';
+import { addDays, daysBetween, getMonthDates, isBeforeToday, isValidCalendarDate } from '../utils/calendarDate';
+import { normalizePassengers } from '../utils/helpers';
+
+/**
+ * Cheapest fare per day for a whole month of one route
+ * A month is up to 31 searches, so each day searches a single airport pair -
+ * a city code such as LON stands for its busiest airport, and nearby airports
+ * are left out - and days are checked a few provider requests at a time with
+ * a pause between batches. Each day's cheapest fare is kept for hours rather
+ * than the search cache's minutes: reopening the calendar mostly reads from
+ * the cache.
+ */
+
+const FARE_CALENDAR_CONFIG = {
+  REQUESTS_PER_BATCH: 3,
+  BATCH_PAUSE_MS: parseInt(process.env.REACT_APP_FARE_CALENDAR_PAUSE_MS, 10) || 1500,
+  TTL_MS: (parseFloat(process.env.REACT_APP_FARE_CALENDAR_TTL_HOURS) || 6) * 60 * 60 * 1000,
+};
+
+// Failures that would hit every remaining day the same way, so checking stops
+const STOPPING_ERROR_CODES = [
+  ERROR_CODES.QUOTA,
+  ERROR_CODES.AUTH,
+  ERROR_CODES.RATE_LIMIT,
+  ERROR_CODES.VALIDATION,
+  ERROR_CODES.AIRPORT_UNRESOLVED
+];
+
+const store = createStore('fare-calendar');
+
+/**
+ * @typedef {Object} FareDay
+ * @property {string} date - Departure date, "YYYY-MM-DD"
+ * @property {string} returnDate - Return date for round trips, else ''
+ * @property {string} status - 'past', 'found', 'empty' or 'failed'
+ * @property {number|null} cheapestPrice - Lowest fare in the base currency
+ * @property {number} ticketCount - Tickets found that day
+ * @property {number|null} checkedAt - When the fare was looked up
+ * @property {boolean} fromCache - Whether it came from the fare calendar cache
+ */
+
+/**
+ * Airport to search for a typed origin or destination
+ * @param {string} input - What the user typed
+ * @returns {string|null} Resolved airport code, with a city code replaced by
+ *   its busiest airport, or null when the input isn't clear
+ */
+const toCalendarAirport = (input) => {
+  const resolution = resolveAirport(input);
+  return resolution.status === 'resolved' ? getMainAirportCode(resolution.code) : null;
+};
+
+/**
+ * Search parameters for one airport pair of a route
+ * Unclear airports are left as typed, so the search reports them.
+ * @param {Object} searchParams - Search parameters for the route
+ * @returns {Object} Parameters with single airports, no nearby airports and no flexible dates
+ */
+const toCalendarSearch = (searchParams) => {
+  const origin = toCalendarAirport(searchParams.origin);
+  const destination = toCalendarAirport(searchParams.destination);
+  const confirmed = [origin, destination].filter(Boolean);
+
+  return {
+    ...searchParams,
+    origin: origin || searchParams.origin,
+    destination: destination || searchParams.destination,
+    confirmedAirports: [...(searchParams.confirmedAirports || []), ...confirmed],
+    nearbyRadiusKm: 0,
+    flexibleDays: 0
+  };
+};
+
+/**
+ * Build the cache key for one day of a route
+ * Uses resolved airport codes, so "delhi" and "DEL" share a calendar.
+ * @param {Object} searchParams - Search parameters from toCalendarSearch
+ * @param {string} date - Departure date
+ * @param {string} returnDate - Return date, or ''
+ * @returns {string} Cache key
+ */
+const buildDayKey = (searchParams, date, returnDate) => buildCacheKey({
+  tripType: searchParams.tripType === 'round-trip' ? 'round-trip' : 'one-way',
+  originCode: String(searchParams.origin).trim().toUpperCase(),
+  destinationCode: String(searchParams.destination).trim().toUpperCase(),
+  departureDate: date,
+  returnDate,
+  passengers: normalizePassengers(searchParams.passengers),
+  travelClass: (searchParams.travelClass || 'economy').toLowerCase()
+});
+
+/**
+ * Read a day from the cache
+ * @param {string} key - Key from buildDayKey
+ * @returns {Promise<Object|null>} { cheapestPrice, ticketCount, checkedAt }, or null when missing or expired
+ */
+const getCachedDay = async (key) => {
+  try {
+    const entry = await store.get(key);
+    if (entry && Date.now() - entry.checkedAt < FARE_CALENDAR_CONFIG.TTL_MS) {
+      return entry;
+    }
+    if (entry) {
+      store.remove(key).catch(() => {});
+    }
+  } catch (error) {
+    secureError('Fare calendar cache read failed:', error);
+  }
+  return null;
+};
+
+/**
+ * Remember a day's cheapest fare
+ * @param {string} key - Key from buildDayKey
+ * @param {Object} entry - { cheapestPrice, ticketCount, checkedAt }
+ */
+const setCachedDay = async (key, entry) => {
+  try {
+    await store.set(key, entry);
+  } catch (error) {
+    secureError('Fare calendar cache write failed:', error);
+  }
+};
+
+/**
+ * Check every day of a month, reporting each one as soon as it's known
+ * Cached days are reported first, then the rest are searched in batches of
+ * at most FARE_CALENDAR_CONFIG.REQUESTS_PER_BATCH provider requests - fewer
+ * days per batch the more providers are enabled, but always at least one.
+ * Days with no flights are cached too; failed days aren't, so the next look
+ * tries them again. A quota, rate-limit or similar error stops the remaining
+ * searches.
+ * @param {Object} routeParams - One-way or round-trip search parameters; round
+ *   trips keep the trip length of their departure and return dates
+ * @param {string} month - "YYYY-MM"
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Stops checking; the promise then
+ *   rejects with an error that isCancelledRequest recognises
+ * @param {Function} [options.onDay] - Called with a FareDay as each day is known
+ * @returns {Promise<Object>} { days: FareDay[], stoppedBy } - `stoppedBy` is
+ *   the error that stopped checking early, or null when every day was checked
+ */
+export const loadFareCalendar = async (routeParams, month, { signal, onDay } = {}) => {
+  const searchParams = toCalendarSearch(routeParams);
+  const isRoundTrip = searchParams.tripType === 'round-trip';
+  const tripLength = isRoundTrip && isValidCalendarDate(searchParams.returnDate)
+    ? Math.max(daysBetween(searchParams.departureDate, searchParams.returnDate), 1)
+    : 0;
+
+  const days = {};
+  const report = (day) => {
+    days[day.date] = day;
+    onDay?.(day);
+  };
+
+  const pending = [];
+  for (const date of getMonthDates(month)) {
+    const returnDate = tripLength ? addDays(date, tripLength) : '';
+    const base = { date, returnDate, cheapestPrice: null, ticketCount: 0, checkedAt: null, fromCache: false };
+
+    if (isBeforeToday(date)) {
+      report({ ...base, status: 'past' });
+      continue;
+    }
+
+    const key = buildDayKey(searchParams, date, returnDate);
+    const cached = await getCachedDay(key);
+    if (cached) {
+      report({ ...base, ...cached, status: cached.ticketCount > 0 ? 'found' : 'empty', fromCache: true });
+    } else {
+      pending.push({ ...base, key });
+    }
+  }
+
+  // Each day is one airport pair, so one request per enabled provider
+  const daysPerBatch = Math.max(
+    Math.floor(FARE_CALENDAR_CONFIG.REQUESTS_PER_BATCH / Math.max(getEnabledProviders().length, 1)),
+    1
+  );
+
+  let stoppedBy = null;
+  for (let start = 0; start < pending.length && !stoppedBy; start += daysPerBatch) {
+    if (start > 0) {
+      await delay(FARE_CALENDAR_CONFIG.BATCH_PAUSE_MS, signal);
+    }
+
+    const batch = pending.slice(start, start + daysPerBatch);
+    const outcomes = await settleWithConcurrency(batch, batch.length, day => searchFlights({
+      ...searchParams,
+      departureDate: day.date,
+      returnDate: day.returnDate
+    }, { signal }), signal);
+
+    if (signal?.aborted) {
+      throw createCancelledError();
+    }
+
+    for (let index = 0; index < batch.length; index++) {
+      const { key, ...day } = batch[index];
+      const outcome = outcomes[index];
+
+      if (outcome.status === 'fulfilled' || outcome.reason instanceof NotFoundError) {
+        const tickets = outcome.status === 'fulfilled' ? outcome.value : [];
+        const entry = {
+          cheapestPrice: tickets.length > 0 ? Math.min(...tickets.map(ticket => Number(ticket.price) || Infinity)) : null,
+          ticketCount: tickets.length,
+          checkedAt: Date.now()
+        };
+        await setCachedDay(key, entry);
+        report({ ...day, ...entry, status: tickets.length > 0 ? 'found' : 'empty' });
+      } else {
+        secureError(`Fare calendar search failed for ${day.date}:`, outcome.reason);
+        report({ ...day, status: 'failed' });
+        if (STOPPING_ERROR_CODES.includes(outcome.reason.code)) {
+          stoppedBy = stoppedBy || outcome.reason;
+        }
+      }
+    }
+  }
+
+  return {
+    days: getMonthDates(month).map(date => days[date]).filter(Boolean),
+    stoppedBy
+  };
+};
@@ -0,0 +1,293 @@
+import { createStore } from './storage';
+import { secureError } from './secureLogger';
+import { searchFlights } from './apiServices';
+import { getAirport } from './airports';
+import { formatConverted } from './currency';
+import { ERROR_CODES } from './errors';
+import { isBeforeToday } from '../utils/calendarDate';
+import { formatDate } from '../utils/helpers';
+
+/**
+ * Price alerts: a route, dates and class to watch, and a fare to beat
+ * Alerts live in the browser and are re-checked on a timer while the app is
+ * open; nothing runs once the tab is closed. Checks go through searchFlights,
+ * so they share its cache, and run one alert at a time to spare the quota.
+ */
+
+const ALERT_CONFIG = {
+  CHECK_INTERVAL_MS: (parseFloat(process.env.REACT_APP_ALERT_CHECK_MINUTES) || 30) * 60 * 1000,
+  FIRST_CHECK_DELAY_MS: 5000,
+};
+
+// Failures that would hit every remaining alert the same way, so the round stops
+const STOPPING_ERROR_CODES = [ERROR_CODES.QUOTA, ERROR_CODES.AUTH, ERROR_CODES.RATE_LIMIT];
+
+const store = createStore('price-alerts');
+
+/**
+ * @typedef {Object} PriceAlert
+ * @property {string} id - Unique id
+ * @property {string} origin - Origin airport code
+ * @property {string} destination - Destination airport code
+ * @property {string} tripType - 'one-way' or 'round-trip'
+ * @property {string} departureDate - "YYYY-MM-DD"
+ * @property {string} returnDate - "YYYY-MM-DD" for round trips, else ''
+ * @property {Object} passengers - { adults, children, infants }
+ * @property {string} travelClass - 'economy', 'premium', 'business' or 'first'
+ * @property {string} classLabel - Class as the ticket showed it, e.g. "Economy"
+ * @property {number} targetPrice - Alert when the cheapest fare is below this, in the base currency
+ * @property {boolean} active - Paused alerts aren't checked
+ * @property {number} createdAt - When the alert was set
+ * @property {number|null} lastCheckedAt - When the fare was last checked
+ * @property {number|null} lastPrice - Cheapest fare at the last check
+ * @property {string|null} lastError - Why the last check failed
+ * @property {number|null} notifiedPrice - Fare the user was last alerted about
+ */
+
+/**
+ * Read every alert
+ * @returns {Promise<PriceAlert[]>} Alerts, oldest first
+ */
+export const getPriceAlerts = async () => {
+  try {
+    const entries = await store.entries();
+    return entries.map(({ value }) => value).sort((a, b) => a.createdAt - b.createdAt);
+  } catch (error) {
+    secureError('Failed to read price alerts:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a new alert
+ * @param {Object} fields - Route, dates, passengers, travelClass and targetPrice
+ * @returns {Promise<PriceAlert>} The stored alert
+ */
+export const addPriceAlert = async (fields) => {
+  const alert = {
+    id: `alert-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    tripType: 'one-way',
+    returnDate: '',
+    ...fields,
+    active: true,
+    createdAt: Date.now(),
+    lastCheckedAt: null,
+    lastPrice: null,
+    lastError: null,
+    notifiedPrice: null
+  };
+
+  await store.set(alert.id, alert);
+  return alert;
+};
+
+/**
+ * Change an alert
+ * A new target price forgets the last notification, so a fare already below
+ * the new target is reported again.
+ * @param {string} id - Alert id
+ * @param {Object} changes - Fields to change, e.g. { targetPrice } or { active }
+ * @returns {Promise<PriceAlert|null>} The updated alert, or null if it's gone
+ */
+export const updatePriceAlert = async (id, changes) => {
+  const alert = await store.get(id);
+  if (!alert) return null;
+
+  const updated = {
+    ...alert,
+    ...changes,
+    ...('targetPrice' in changes && changes.targetPrice !== alert.targetPrice ? { notifiedPrice: null } : {})
+  };
+  await store.set(id, updated);
+  return updated;
+};
+
+/**
+ * Delete an alert
+ * @param {string} id - Alert id
+ */
+export const removePriceAlert = async (id) => {
+  await store.remove(id);
+};
+
+/**
+ * Describe an alert's route and dates
+ * @param {PriceAlert} alert - Alert
+ * @returns {string} e.g. "Delhi (DEL) to Mumbai (BOM) on Mon, Jan 11"
+ */
+export const describePriceAlert = (alert) => {
+  const describeAirport = (code) => {
+    const city = getAirport(code)?.city;
+    return city ? `${city} (${code})` : code;
+  };
+  const route = `${describeAirport(alert.origin)} to ${describeAirport(alert.destination)}`;
+  const dates = alert.returnDate
+    ? `${formatDate(alert.departureDate)} - ${formatDate(alert.returnDate)}`
+    : formatDate(alert.departureDate);
+  return `${route} on ${dates}`;
+};
+
+/**
+ * Check whether an alert can still be checked
+ * @param {PriceAlert} alert - Alert
+ * @returns {boolean} False once its departure date has passed
+ */
+export const isAlertExpired = (alert) => isBeforeToday(alert.departureDate);
+
+/**
+ * Search parameters that look up an alert's fares
+ * @param {PriceAlert} alert - Alert
+ * @returns {Object} Parameters for searchFlights or the search form's onSearch
+ */
+export const getAlertSearchParams = (alert) => ({
+  origin: alert.origin,
+  destination: alert.destination,
+  tripType: alert.tripType,
+  departureDate: alert.departureDate,
+  returnDate: alert.returnDate,
+  passengers: alert.passengers,
+  travelClass: alert.travelClass,
+  // The codes were picked from real results, so don't second-guess them
+  confirmedAirports: [alert.origin, alert.destination]
+});
+
+/**
+ * Check one alert's fare
+ * @param {PriceAlert} alert - Alert to check
+ * @param {AbortSignal} [signal] - Cancels the search
+ * @returns {Promise<Object>} { alert, triggered, error } with the alert as updated
+ */
+const checkAlert = async (alert, signal) => {
+  let lastPrice = null;
+  let lastError = null;
+  let failure = null;
+
+  try {
+    const tickets = await searchFlights(getAlertSearchParams(alert), { signal });
+    const cheapest = Math.min(...tickets.map(ticket => Number(ticket.price) || Infinity));
+    lastPrice = cheapest === Infinity ? null : cheapest;
+  } catch (error) {
+    if (error.code !== ERROR_CODES.NOT_FOUND) {
+      failure = error;
+      lastError = error.message;
+    }
+  }
+
+  // Report a drop once, then again only if it keeps falling
+  const triggered = lastPrice !== null && lastPrice < alert.targetPrice &&
+    (alert.notifiedPrice === null || lastPrice < alert.notifiedPrice);
+
+  const updated = await updatePriceAlert(alert.id, {
+    lastCheckedAt: Date.now(),
+    lastPrice,
+    lastError,
+    ...(triggered ? { notifiedPrice: lastPrice } : {})
+  });
+
+  return { alert: updated || alert, triggered, error: failure };
+};
+
+/**
+ * Check every active, unexpired alert, one at a time
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Stops checking
+ * @param {string[]} [options.ids] - Only check these alerts
+ * @returns {Promise<PriceAlert[]>} Alerts whose fare just dropped below their target
+ */
+export const checkPriceAlerts = async ({ signal, ids } = {}) => {
+  const alerts = (await getPriceAlerts())
+    .filter(alert => alert.active && !isAlertExpired(alert) && (!ids || ids.includes(alert.id)));
+  const triggered = [];
+
+  for (const alert of alerts) {
+    if (signal?.aborted) break;
+
+    const result = await checkAlert(alert, signal);
+    if (result.triggered) {
+      triggered.push(result.alert);
+    }
+    if (result.error && STOPPING_ERROR_CODES.includes(result.error.code)) {
+      secureError('Price alert checks stopped:', result.error);
+      break;
+    }
+  }
+
+  return triggered;
+};
+
+/**
+ * Ask for permission to show browser notifications, if it hasn't been decided
+ * Must be called from a user action such as a click.
+ * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    return Notification.permission;
+  }
+};
+
+/**
+ * Show a browser notification for a price drop, when allowed
+ * @param {PriceAlert} alert - Alert that triggered
+ * @param {string} displayCurrency - Currency to show the fare in
+ */
+export const notifyPriceDrop = (alert, displayCurrency) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+  try {
+    // The tag replaces an older notification for the same alert
+    new Notification('Fare dropped below your target', {
+      body: `${describePriceAlert(alert)}: now ${formatConverted(alert.lastPrice, displayCurrency)}, ` +
+        `target ${formatConverted(alert.targetPrice, displayCurrency)}`,
+      tag: alert.id
+    });
+  } catch (error) {
+    secureError('Failed to show price alert notification:', error);
+  }
+};
+
+/**
+ * Check alerts now and then on a timer, until stopped
+ * A round never starts while another is running; asking for one then waits
+ * for the running round instead.
+ * @param {Function} onChecked - Called with (triggeredAlerts) after each round
+ * @returns {Object} { checkNow, stop } - checkNow runs a round straight away
+ *   and resolves when it's done; stop ends the timer and any round in progress
+ */
+export const startPriceAlertChecks = (onChecked) => {
+  const controller = new AbortController();
+  let running = null;
+
+  const runChecks = () => {
+    if (running) return running;
+
+    running = checkPriceAlerts({ signal: controller.signal })
+      .then(triggered => {
+        if (!controller.signal.aborted) onChecked(triggered);
+      })
+      .catch(error => {
+        secureError('Price alert check failed:', error);
+      })
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  };
+
+  const firstCheck = setTimeout(runChecks, ALERT_CONFIG.FIRST_CHECK_DELAY_MS);
+  const interval = setInterval(runChecks, ALERT_CONFIG.CHECK_INTERVAL_MS);
+
+  return {
+    checkNow: runChecks,
+    stop: () => {
+      clearTimeout(firstCheck);
+      clearInterval(interval);
+      controller.abort();
+    }
+  };
+};
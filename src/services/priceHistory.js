@@ -0,0 +1,95 @@
+import { createStore } from './storage';
+import { secureError } from './secureLogger';
+import { buildCacheKey } from './searchCache';
+
+/**
+ * Fares seen for each route over past searches
+ * Every search that reaches the providers adds a point with the cheapest and
+ * median fare, keyed like the search cache (route, dates, passengers, class).
+ * Results served from the search cache add nothing: they're the same fares
+ * as the point their search already recorded.
+ */
+
+export const MAX_HISTORY_POINTS = 30;
+
+const store = createStore('price-history');
+
+/**
+ * @typedef {Object} PricePoint
+ * @property {number} checkedAt - When the fares were fetched
+ * @property {number} cheapest - Lowest fare, in the base currency
+ * @property {number} median - Median fare, in the base currency
+ * @property {number} count - Tickets the fares were taken from
+ */
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values, in any order
+ * @returns {number} Middle value, or the mean of the two middle ones
+ */
+const getMedian = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Read a route's history
+ * @param {Object} query - Normalized search query
+ * @returns {Promise<PricePoint[]>} Points, oldest first
+ */
+export const getPriceHistory = async (query) => {
+  try {
+    const points = await store.get(buildCacheKey(query));
+    return Array.isArray(points) ? points : [];
+  } catch (error) {
+    secureError('Failed to read price history:', error);
+    return [];
+  }
+};
+
+/**
+ * Add a search's fares to a route's history
+ * A point for the same fetch time is only stored once, and only the latest
+ * MAX_HISTORY_POINTS are kept.
+ * @param {Object} query - Normalized search query
+ * @param {Array} tickets - Tickets the search found
+ * @param {number} checkedAt - When the fares were fetched
+ * @returns {Promise<PricePoint[]>} The route's history, oldest first
+ */
+export const recordPrices = async (query, tickets, checkedAt) => {
+  const history = await getPriceHistory(query);
+  const prices = tickets.map(ticket => Number(ticket.price)).filter(price => price > 0);
+
+  if (prices.length === 0 || history.some(point => point.checkedAt === checkedAt)) {
+    return history;
+  }
+
+  const updated = [...history, {
+    checkedAt,
+    cheapest: Math.min(...prices),
+    median: Math.round(getMedian(prices) * 100) / 100,
+    count: prices.length
+  }]
+    .sort((a, b) => a.checkedAt - b.checkedAt)
+    .slice(-MAX_HISTORY_POINTS);
+
+  try {
+    await store.set(buildCacheKey(query), updated);
+  } catch (error) {
+    secureError('Failed to save price history:', error);
+  }
+
+  return updated;
+};
+
+/**
+ * The cheapest fare from the last search before a given one
+ * @param {PricePoint[]} history - Route history, oldest first
+ * @param {number} checkedAt - Fetch time of the current fares
+ * @returns {number|null} Earlier cheapest fare, or null on the first search
+ */
+export const getPreviousCheapest = (history, checkedAt) => {
+  const earlier = history.filter(point => point.checkedAt < checkedAt);
+  return earlier.length > 0 ? earlier[earlier.length - 1].cheapest : null;
+};
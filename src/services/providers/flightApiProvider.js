@@ -0,0 +1,468 @@
+import { getWithRetry } from '../apiClient';
+import { getAirportName } from '../airports';
+import { sanitizeUrl, secureError } from '../secureLogger';
+import { BASE_CURRENCY, normalizeCurrencyCode, toBaseCurrency } from '../currency';
+import {
+  AuthError,
+  NetworkError,
+  NotFoundError,
+  QuotaError,
+  RateLimitError,
+  TimeoutError,
+  UpstreamError,
+  isFlightSearchError,
+  toFlightSearchError
+} from '../errors';
+
+// API Configuration for Flight API
+const FLIGHT_API_CONFIG = {
+  API_KEY: process.env.REACT_APP_FLIGHT_API_KEY ,
+  // Flight API deeplinks are relative to the booking site they were sourced from
+  BOOKING_BASE_URL: process.env.REACT_APP_BOOKING_BASE_URL || 'https://www.skyscanner.net',
+  // Currency to request quotes in; prices are converted to the base currency either way
+  CURRENCY: normalizeCurrencyCode(process.env.REACT_APP_FLIGHT_API_CURRENCY) || BASE_CURRENCY,
+};
+
+/**
+ * Build API URL with secure logging
+ * Round trips go to the roundtrip endpoint so both legs are priced together;
+ * everything else uses onewaytrip.
+ * @param {Object} query - Normalized search query
+ * @param {string} query.tripType - 'one-way' or 'round-trip'
+ * @param {string} query.originCode - Origin airport code
+ * @param {string} query.destinationCode - Destination airport code
+ * @param {string} query.departureDate - Departure date (YYYY-MM-DD)
+ * @param {string} [query.returnDate] - Return date for round trips (YYYY-MM-DD)
+ * @param {Object} query.passengers - { adults, children, infants }
+ * @param {string} query.travelClass - Travel class
+ * @returns {string} - API URL
+ */
+const buildApiUrl = ({ tripType, originCode, destinationCode, departureDate, returnDate, passengers, travelClass }) => {
+  const route = `${originCode.toLowerCase()}/${destinationCode.toLowerCase()}`;
+  const travellers = `${passengers.adults}/${passengers.children}/${passengers.infants}`;
+  const currency = FLIGHT_API_CONFIG.CURRENCY;
+  const url = tripType === 'round-trip'
+    ? `https://api.flightapi.io/roundtrip/${FLIGHT_API_CONFIG.API_KEY}/${route}/${departureDate}/${returnDate}/${travellers}/${travelClass}/${currency}`
+    : `https://api.flightapi.io/onewaytrip/${FLIGHT_API_CONFIG.API_KEY}/${route}/${departureDate}/${travellers}/${travelClass}/${currency}`;
+  
+  // Log sanitized URL (without API key)
+  console.log('API URL (sanitized):', sanitizeUrl(url));
+  
+  return url;
+};
+
+/**
+ * Parse a price value into a number and currency
+ * Handles the different price shapes the API has returned over time
+ * @param {number|string|Object} value - Raw price value
+ * @param {string} currency - Currency to assume when the value doesn't name one
+ * @returns {Object} - { price, currency, sourcePrice, sourceCurrency } with price
+ *   converted to the base currency; price is 0 when the currency has no rate
+ */
+const parsePrice = (value, currency = FLIGHT_API_CONFIG.CURRENCY) => {
+  let price = value;
+  
+  // Handle different price formats
+  if (typeof price === 'object' && price !== null) {
+    if (price.amount) {
+      currency = price.currency || currency;
+      price = price.amount;
+    } else if (price.value) {
+      currency = price.currency || currency;
+      price = price.value;
+    }
+  }
+  
+  // Ensure price is a valid number and convert to the base currency
+  price = parseFloat(price) || 0;
+
+  const converted = toBaseCurrency(price, currency);
+  if (!converted) {
+    console.warn(`No exchange rate for ${currency}; dropping the price`);
+    return { price: 0, currency: BASE_CURRENCY, sourcePrice: price, sourceCurrency: currency };
+  }
+
+  return converted;
+};
+
+/**
+ * Build an absolute booking URL from a provider deeplink
+ * Search parameters are carried over as query parameters unless the deeplink
+ * already sets them. Anything that isn't an http(s) URL is rejected.
+ * @param {string} deepLink - Absolute or site-relative deeplink
+ * @param {Object} bookingQuery - Search parameters to carry over
+ * @returns {string|null} - Booking URL, or null when no usable link exists
+ */
+const buildBookingUrl = (deepLink, bookingQuery = {}) => {
+  if (!deepLink || typeof deepLink !== 'string') {
+    return null;
+  }
+
+  try {
+    const url = new URL(deepLink, FLIGHT_API_CONFIG.BOOKING_BASE_URL);
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return null;
+    }
+
+    const carriedParams = {
+      origin: bookingQuery.originCode,
+      destination: bookingQuery.destinationCode,
+      departure_date: bookingQuery.departureDate,
+      return_date: bookingQuery.returnDate,
+      adults: bookingQuery.passengers?.adults,
+      children: bookingQuery.passengers?.children,
+      infants: bookingQuery.passengers?.infants,
+      cabin_class: bookingQuery.travelClass
+    };
+
+    Object.entries(carriedParams).forEach(([key, value]) => {
+      if (value && !url.searchParams.has(key)) {
+        url.searchParams.set(key, value);
+      }
+    });
+
+    return url.toString();
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Extract every booking agent's offer for an itinerary
+ * @param {Object} itinerary - Itinerary from the API response
+ * @param {Array} agents - Agents list from the API response
+ * @param {Object} bookingQuery - Search parameters carried into booking URLs
+ * @returns {Array} - Offers sorted cheapest first:
+ *   { agent: { id, name, rating }, price, currency, sourcePrice, sourceCurrency, deepLink, bookingUrl }
+ */
+const extractPricingOptions = (itinerary, agents = [], bookingQuery = {}) => {
+  // Older responses carry a single price directly on the itinerary
+  if (!itinerary.pricing_options || itinerary.pricing_options.length === 0) {
+    const parsed = itinerary.price
+      ? parsePrice(itinerary.price, itinerary.currency)
+      : parsePrice(itinerary.total_price, itinerary.total_currency);
+    const deepLink = itinerary.booking_url || null;
+    return parsed.price > 0
+      ? [{ agent: null, ...parsed, deepLink, bookingUrl: buildBookingUrl(deepLink, bookingQuery) }]
+      : [];
+  }
+
+  return itinerary.pricing_options
+    .map(pricingOption => {
+      if (typeof pricingOption === 'number') {
+        return { agent: null, ...parsePrice(pricingOption), deepLink: null, bookingUrl: null };
+      }
+
+      const rawPrice = pricingOption.price || pricingOption.total_price || pricingOption.amount;
+      const parsed = parsePrice(rawPrice, pricingOption.currency);
+      const firstItem = pricingOption.items?.[0];
+      const agentId = pricingOption.agent_ids?.[0] || firstItem?.agent_id;
+      const agent = agents.find(a => a.id === agentId);
+      const deepLink = pricingOption.url || firstItem?.url || null;
+
+      return {
+        agent: agentId ? {
+          id: agentId,
+          name: agent?.name || agentId,
+          rating: agent?.rating ?? null
+        } : null,
+        ...parsed,
+        deepLink,
+        bookingUrl: buildBookingUrl(deepLink, bookingQuery)
+      };
+    })
+    .filter(option => option.price > 0)
+    .sort((a, b) => a.price - b.price);
+};
+
+/**
+ * Minutes between two API timestamps
+ * Only meaningful for timestamps at the same airport (e.g. a layover), since
+ * the API reports times in each airport's local time.
+ * @param {string} start - Earlier timestamp
+ * @param {string} end - Later timestamp
+ * @returns {number} - Whole minutes, or 0 if either timestamp is unusable
+ */
+const minutesBetween = (start, end) => {
+  const diff = new Date(end).getTime() - new Date(start).getTime();
+  return isNaN(diff) ? 0 : Math.max(0, Math.round(diff / 60000));
+};
+
+/**
+ * Map one segment (a single takeoff and landing) of a leg
+ * @param {Object} segment - Segment from the API response
+ * @param {Object} responseData - Full API response payload
+ * @returns {Object} - Segment details
+ */
+const mapSegment = (segment, responseData) => {
+  const { carriers = [], places = [] } = responseData;
+  const carrier = carriers.find(c => c.id === segment.marketing_carrier_id);
+  const originPlace = places.find(p => p.id === segment.origin_place_id);
+  const destinationPlace = places.find(p => p.id === segment.destination_place_id);
+  const originCode = originPlace?.display_code || originPlace?.alt_id || originPlace?.iata_code;
+  const destinationCode = destinationPlace?.display_code || destinationPlace?.alt_id || destinationPlace?.iata_code;
+
+  return {
+    airline: {
+      name: carrier?.name || 'Unknown Airline',
+      code: carrier?.iata_code || carrier?.display_code || 'UN'
+    },
+    flightNumber: segment.marketing_carrier_flight_number || segment.marketing_flight_number,
+    origin: {
+      code: originCode,
+      name: originCode ? getAirportName(originCode) : originPlace?.name
+    },
+    destination: {
+      code: destinationCode,
+      name: destinationCode ? getAirportName(destinationCode) : destinationPlace?.name
+    },
+    departureTime: segment.departure,
+    arrivalTime: segment.arrival,
+    duration: segment.duration_in_minutes || segment.duration || 0
+  };
+};
+
+/**
+ * Map a single leg of the API response to flight details
+ * Follows the leg's full segment chain, so connecting flights report every
+ * flight number, each connection with its layover time, and the arrival of
+ * the final segment.
+ * @param {string} legId - Leg identifier from itinerary.leg_ids
+ * @param {Object} responseData - Full API response payload
+ * @param {string} originCode - Requested origin code for this direction
+ * @param {string} destinationCode - Requested destination code for this direction
+ * @returns {Object|null} - Leg details, or null if the leg can't be resolved
+ */
+const mapLeg = (legId, responseData, originCode, destinationCode) => {
+  const { legs = [], segments = [] } = responseData;
+  const leg = legs.find(l => l.id === legId);
+  
+  if (!leg || !leg.segment_ids || leg.segment_ids.length === 0) {
+    return null;
+  }
+
+  // A leg with a missing segment can't be shown truthfully, so drop it
+  const legSegments = leg.segment_ids.map(id => segments.find(s => s.id === id));
+  if (legSegments.some(segment => !segment)) {
+    return null;
+  }
+
+  const mappedSegments = legSegments.map(segment => mapSegment(segment, responseData));
+  const firstSegment = mappedSegments[0];
+  const lastSegment = mappedSegments[mappedSegments.length - 1];
+
+  const layovers = mappedSegments.slice(1).map((segment, index) => ({
+    code: segment.origin.code,
+    name: segment.origin.name,
+    duration: minutesBetween(mappedSegments[index].arrivalTime, segment.departureTime)
+  }));
+
+  const flightTime = mappedSegments.reduce((total, segment) => total + segment.duration, 0);
+  const layoverTime = layovers.reduce((total, layover) => total + layover.duration, 0);
+  const flightNumbers = mappedSegments.map(segment => segment.flightNumber).filter(Boolean);
+
+  const legOriginCode = firstSegment.origin.code || originCode;
+  const legDestinationCode = lastSegment.destination.code || destinationCode;
+
+  return {
+    airline: firstSegment.airline,
+    flightNumber: flightNumbers.join(' / '),
+    flightNumbers,
+    origin: {
+      code: legOriginCode,
+      name: getAirportName(legOriginCode)
+    },
+    destination: {
+      code: legDestinationCode,
+      name: getAirportName(legDestinationCode)
+    },
+    departureTime: firstSegment.departureTime,
+    arrivalTime: lastSegment.arrivalTime,
+    duration: leg.duration_in_minutes || leg.duration || flightTime + layoverTime,
+    stops: mappedSegments.length - 1,
+    layoverCities: layovers.map(layover => layover.code).filter(Boolean),
+    layovers,
+    segments: mappedSegments
+  };
+};
+
+/**
+ * Flight API (api.flightapi.io) provider adapter
+ * @type {import('./index').FlightProvider}
+ */
+const flightApiProvider = {
+  id: 'flightapi',
+  name: 'Flight API',
+
+  /**
+   * Fetch the raw Flight API payload for a query
+   * @param {Object} query - Normalized search query
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the request when the search is cancelled
+   * @param {Function} [options.onAttempt] - Reports each retry attempt
+   * @returns {Promise<Object>} Raw response data
+   */
+  async search(query, { signal, onAttempt } = {}) {
+    // Build API URL with secure logging
+    const apiUrl = buildApiUrl(query);
+    
+    const response = await getWithRetry(apiUrl, { signal, onAttempt });
+
+    console.log('API Response received:', response.data);
+    return response.data;
+  },
+
+  /**
+   * Turn a Flight API payload into normalized tickets
+   * Round-trip queries yield one ticket per outbound/inbound pairing, with the
+   * return leg under `ticket.inbound` and `ticket.price` as the combined fare.
+   * @param {Object} data - Raw response data
+   * @param {Object} query - Normalized search query
+   * @returns {Array} Normalized tickets
+   */
+  normalizeResponse(data, query) {
+    const results = [];
+    const isRoundTrip = query.tripType === 'round-trip';
+
+    // Proxies and outages sometimes answer 200 with an HTML page or a bare string
+    if (typeof data !== 'object' || data === null ||
+        (data.itineraries && !Array.isArray(data.itineraries))) {
+      throw new UpstreamError('Unexpected response format from flight provider');
+    }
+    
+    if (!data.itineraries || !data.legs) {
+      return results;
+    }
+
+    const itineraries = data.itineraries;
+    
+    console.log('Found', itineraries.length, 'itineraries in API response');
+    
+    itineraries.forEach((itinerary, index) => {
+      const legIds = itinerary.leg_ids || [];
+      const outbound = mapLeg(legIds[0], data, query.originCode, query.destinationCode);
+      
+      if (!outbound) {
+        return;
+      }
+
+      // A round-trip itinerary is only usable when its return leg resolves too
+      const inbound = isRoundTrip
+        ? mapLeg(legIds[1], data, query.destinationCode, query.originCode)
+        : null;
+
+      if (isRoundTrip && !inbound) {
+        return;
+      }
+
+      const pricingOptions = extractPricingOptions(itinerary, data.agents, query);
+      const cheapestOption = pricingOptions[0];
+      
+      results.push({
+        id: `flight-${index + 1}`,
+        ...outbound,
+        flightNumber: outbound.flightNumber || `FL${index + 1}`,
+        inbound: inbound && {
+          ...inbound,
+          flightNumber: inbound.flightNumber || `FL${index + 1}R`
+        },
+        tripType: query.tripType,
+        price: cheapestOption ? cheapestOption.price : 0,
+        originalPrice: null,
+        currency: BASE_CURRENCY,
+        sourcePrice: cheapestOption ? cheapestOption.sourcePrice : null,
+        sourceCurrency: cheapestOption ? cheapestOption.sourceCurrency : null,
+        pricingOptions,
+        class: query.classLabel,
+        provider: this.name,
+        // Fall back to the itinerary's own link when no agent offer carries one
+        bookingUrl: pricingOptions.find(option => option.bookingUrl)?.bookingUrl ||
+          buildBookingUrl(itinerary.booking_url || itinerary.share_url, query),
+        amenities: ['WiFi', 'Entertainment'],
+        baggage: {
+          carryOn: '1 included',
+          checkedBags: 'Extra fee'
+        }
+      });
+    });
+
+    return results;
+  },
+
+  /**
+   * Map a failed Flight API request to a user-facing error
+   * @param {Error} error - Error thrown by search()
+   * @returns {FlightSearchError} Typed error with a user-facing message
+   */
+  mapError(error) {
+    // Errors raised while normalizing are already typed
+    if (isFlightSearchError(error)) {
+      return error;
+    }
+
+    // Create sanitized error details object
+    const sanitizedErrorDetails = {
+      message: error.message,
+      status: error.response?.status,
+      data: error.response?.data,
+      url: error.config?.url ? sanitizeUrl(error.config.url) : undefined
+    };
+    
+    secureError('Error details (sanitized):', sanitizedErrorDetails);
+    
+    // Handle specific error cases
+    if (error.response?.status === 403) {
+      const errorData = error.response.data;
+      let errorMessage = 'API quota limit reached';
+      
+      if (errorData?.message) {
+        if (errorData.message.includes('quota')) {
+          errorMessage = 'Your API quota has reached its maximum limits. Please upgrade your plan to continue.';
+        } else {
+          errorMessage = errorData.message;
+        }
+      }
+      
+      // Include upgrade link if available
+      if (errorData?.upgradeLink) {
+        errorMessage += ` Visit ${errorData.upgradeLink} to upgrade your plan.`;
+      }
+      
+      return new QuotaError(`API Access Denied: ${errorMessage}`, { cause: error });
+    }
+    
+    if (error.response?.status === 401) {
+      return new AuthError('API authentication failed. Please check your API key configuration.', { cause: error });
+    }
+    
+    if (error.response?.status === 429) {
+      return new RateLimitError('Too many requests. Please wait a moment and try again.', { cause: error });
+    }
+    
+    if (error.response?.status === 404) {
+      return new NotFoundError(`No flights found for the specified route. Please check:
+• Airport names are spelled correctly
+• Try using 3-letter airport codes (e.g., DEL for Delhi, BOM for Mumbai)
+• Verify the route exists (some airports may not have direct connections)
+• Try different dates`, { cause: error });
+    }
+    
+    if (error.response?.status >= 500) {
+      return new UpstreamError('Flight service is temporarily unavailable. Please try again later.', { cause: error });
+    }
+    
+    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+      return new TimeoutError('Request timeout. Please try again or check your internet connection.', { cause: error });
+    }
+
+    // A request that got no response at all never reached the provider
+    if (error.code === 'ERR_NETWORK' || (error.request && !error.response)) {
+      return new NetworkError('Unable to reach the flight service. Please check your internet connection.', { cause: error });
+    }
+
+    return toFlightSearchError(error);
+  }
+};
+
+export default flightApiProvider;
@@ -0,0 +1,111 @@
+import flightApiProvider from './flightApiProvider';
+import mockProvider from './mockProvider';
+import { createCancelledError, isCancelledRequest } from '../apiClient';
+import { secureError } from '../secureLogger';
+import { FlightSearchError } from '../errors';
+
+/**
+ * A fare source the app can search.
+ * @typedef {Object} FlightProvider
+ * @property {string} id - Stable identifier, used in REACT_APP_FLIGHT_PROVIDERS
+ * @property {string} name - Display name shown on tickets
+ * @property {(query: Object, options: { signal?: AbortSignal, onAttempt?: Function }) => Promise<Object>} search - Fetch the raw payload for a normalized query
+ * @property {(data: Object, query: Object) => Array} normalizeResponse - Turn a raw payload into tickets
+ * @property {(error: Error, query: Object) => import('../errors').FlightSearchError} mapError - Turn a failed search into a typed, user-facing error
+ */
+
+/**
+ * Every provider the app knows about, in priority order
+ * @type {FlightProvider[]}
+ */
+const PROVIDERS = [flightApiProvider, mockProvider];
+
+/**
+ * Get the providers enabled through REACT_APP_FLIGHT_PROVIDERS
+ * A comma-separated list of provider ids; defaults to Flight API only.
+ * @returns {FlightProvider[]} Enabled providers
+ */
+export const getEnabledProviders = () => {
+  const enabledIds = (process.env.REACT_APP_FLIGHT_PROVIDERS || flightApiProvider.id)
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  return PROVIDERS.filter(provider => enabledIds.includes(provider.id));
+};
+
+/**
+ * Run one provider's search and normalize its response
+ * Errors are passed through the provider's mapError and tagged with its id;
+ * cancellations are passed through untouched.
+ * @param {FlightProvider} provider - Provider to query
+ * @param {Object} query - Normalized search query
+ * @param {Object} options - Request options, e.g. { signal, onAttempt }
+ * @returns {Promise<Array>} Normalized tickets
+ */
+const searchProvider = async (provider, query, options) => {
+  try {
+    const data = await provider.search(query, {
+      signal: options.signal,
+      onAttempt: options.onAttempt && (status => options.onAttempt({ ...status, provider: provider.name }))
+    });
+    return provider.normalizeResponse(data, query);
+  } catch (error) {
+    if (isCancelledRequest(error)) {
+      throw error;
+    }
+
+    const mappedError = provider.mapError(error, query);
+    mappedError.providerId = provider.id;
+    throw mappedError;
+  }
+};
+
+/**
+ * Query all enabled providers in parallel and merge their tickets
+ * Ticket ids are prefixed with the provider id so they stay unique across
+ * sources. One failing provider doesn't hide the others' results; the search
+ * only fails when every provider does.
+ * @param {Object} query - Normalized search query
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels every provider's request
+ * @param {Function} [options.onAttempt] - Called with { provider, attempt, maxAttempts, delay }
+ * @returns {Promise<Array>} Merged tickets, cheapest first
+ */
+export const searchAllProviders = async (query, { signal, onAttempt } = {}) => {
+  const providers = getEnabledProviders();
+
+  if (providers.length === 0) {
+    throw new FlightSearchError('No flight providers are enabled. Check REACT_APP_FLIGHT_PROVIDERS.');
+  }
+
+  const outcomes = await Promise.allSettled(
+    providers.map(provider => searchProvider(provider, query, { signal, onAttempt }))
+  );
+
+  // Partial results from a cancelled search must not be used
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+
+  const failures = outcomes.filter(outcome => outcome.status === 'rejected');
+  if (failures.length === outcomes.length) {
+    throw failures[0].reason;
+  }
+
+  failures.forEach(failure => {
+    secureError(`Provider ${failure.reason.providerId} failed:`, failure.reason);
+  });
+
+  return outcomes
+    .flatMap((outcome, index) => (
+      outcome.status === 'fulfilled'
+        ? outcome.value.map(ticket => ({
+            ...ticket,
+            id: `${providers[index].id}-${ticket.id}`,
+            providerId: providers[index].id
+          }))
+        : []
+    ))
+    .sort((a, b) => a.price - b.price);
+};
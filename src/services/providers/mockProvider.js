@@ -0,0 +1,308 @@
+import flightApiProvider from './flightApiProvider';
+import { delay, withRetry } from '../apiClient';
+import { getAirport, getAirportName } from '../airports';
+import { BASE_CURRENCY, convertAmount } from '../currency';
+import referenceData from './fixtures/mockReferenceData.json';
+import { addMinutesAcrossZones } from '../../utils/timeZones';
+
+/**
+ * Scenarios the mock provider can play back
+ * - success: realistic results for any route and date
+ * - empty: a well-formed response with no itineraries
+ * - quota / rate-limit / server-error: HTTP 403 / 429 / 500 responses
+ * - timeout: the request is aborted as if the timeout elapsed
+ * - malformed: the upstream returns something that isn't a Flight API payload
+ */
+export const MOCK_SCENARIOS = ['success', 'empty', 'quota', 'rate-limit', 'server-error', 'timeout', 'malformed'];
+
+const MOCK_CONFIG = {
+  LATENCY_MS: parseInt(process.env.REACT_APP_MOCK_LATENCY, 10) || 600,
+};
+
+/**
+ * Get the active scenario
+ * A `mockScenario` URL query parameter overrides REACT_APP_MOCK_SCENARIO so
+ * scenarios can be switched in the browser without restarting the dev server.
+ * @returns {string} Scenario name
+ */
+export const getMockScenario = () => {
+  let scenario = process.env.REACT_APP_MOCK_SCENARIO || 'success';
+
+  if (typeof window !== 'undefined' && window.location) {
+    const fromUrl = new URLSearchParams(window.location.search).get('mockScenario');
+    if (fromUrl) {
+      scenario = fromUrl;
+    }
+  }
+
+  return MOCK_SCENARIOS.includes(scenario) ? scenario : 'success';
+};
+
+/**
+ * Create a deterministic random number generator (mulberry32)
+ * @param {string} seedText - Text to derive the seed from
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+const createRandom = (seedText) => {
+  // FNV-1a hash of the seed text
+  let seed = 2166136261;
+  for (let i = 0; i < seedText.length; i++) {
+    seed ^= seedText.charCodeAt(i);
+    seed = Math.imul(seed, 16777619);
+  }
+
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+const shuffle = (random, items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Add minutes to a naive local timestamp, keeping it naive
+ * @param {string} timestamp - YYYY-MM-DDTHH:mm:ss
+ * @param {number} minutes - Minutes to add
+ * @returns {string} Shifted timestamp
+ */
+const addMinutes = (timestamp, minutes) => {
+  const date = new Date(`${timestamp}Z`);
+  date.setUTCMinutes(date.getUTCMinutes() + minutes);
+  return date.toISOString().slice(0, 19);
+};
+
+/**
+ * Local arrival time of a flight, like a real schedule
+ * Falls back to adding the minutes naively when either airport's zone is unknown.
+ * @param {string} departure - Local departure time at `from`
+ * @param {string} from - Origin IATA code
+ * @param {number} minutes - Flight time
+ * @param {string} to - Destination IATA code
+ * @returns {string} Local arrival time at `to`
+ */
+const getLocalArrival = (departure, from, minutes, to) => (
+  addMinutesAcrossZones(departure, getAirport(from)?.timezone, minutes, getAirport(to)?.timezone)
+  || addMinutes(departure, minutes)
+);
+
+/**
+ * Build an axios-shaped HTTP error so the real error mapping is exercised
+ * @param {Object} fixture - { status, data, headers } from the fixtures
+ * @param {string} url - Request URL to report
+ * @returns {Error} Error carrying `response` and `config`
+ */
+const createHttpError = ({ status, data, headers = {} }, url) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data, headers };
+  error.config = { url };
+  return error;
+};
+
+/**
+ * Generate a Flight API shaped payload for a query
+ * The same route, dates and class always produce the same results.
+ * @param {Object} query - Normalized search query
+ * @returns {Object} Payload with itineraries, legs, segments, carriers, places and agents
+ */
+const generatePayload = (query) => {
+  const random = createRandom([
+    query.originCode, query.destinationCode, query.departureDate,
+    query.returnDate || '', query.travelClass
+  ].join('|'));
+
+  const payload = {
+    itineraries: [],
+    legs: [],
+    segments: [],
+    carriers: referenceData.carriers,
+    agents: referenceData.agents,
+    places: []
+  };
+
+  const placeIds = {};
+  const getPlaceId = (code) => {
+    if (!placeIds[code]) {
+      placeIds[code] = `mock-place-${code}`;
+      payload.places.push({
+        id: placeIds[code],
+        display_code: code,
+        name: getAirportName(code),
+        type: 'Airport'
+      });
+    }
+    return placeIds[code];
+  };
+
+  const classMultiplier = { economy: 1, premium: 1.6, business: 3.2, first: 5 }[query.travelClass] || 1;
+
+  const createLeg = (from, to, date) => {
+    const stops = pick(random, [0, 0, 1, 1, 1, 2]);
+    const hubs = referenceData.hubs.filter(code => code !== from && code !== to);
+    const route = [from];
+    for (let i = 0; i < stops; i++) {
+      route.push(hubs.splice(Math.floor(random() * hubs.length), 1)[0]);
+    }
+    route.push(to);
+
+    const carrier = pick(random, referenceData.carriers);
+    const legId = `mock-leg-${payload.legs.length + 1}`;
+    const segmentIds = [];
+    let departure = `${date}T${String(randomInt(random, 0, 23)).padStart(2, '0')}:${pick(random, ['00', '15', '30', '45'])}:00`;
+    let flightMinutes = 0;
+
+    for (let i = 0; i < route.length - 1; i++) {
+      const duration = randomInt(random, 55, 540);
+      const segmentId = `${legId}-segment-${i + 1}`;
+      const arrival = getLocalArrival(departure, route[i], duration, route[i + 1]);
+
+      payload.segments.push({
+        id: segmentId,
+        origin_place_id: getPlaceId(route[i]),
+        destination_place_id: getPlaceId(route[i + 1]),
+        departure,
+        arrival,
+        duration_in_minutes: duration,
+        marketing_carrier_id: carrier.id,
+        marketing_carrier_flight_number: String(randomInt(random, 100, 9899)),
+        mode: 'flight'
+      });
+      segmentIds.push(segmentId);
+      flightMinutes += duration;
+
+      departure = addMinutes(arrival, randomInt(random, 50, 300));
+    }
+
+    const firstSegment = payload.segments[payload.segments.length - segmentIds.length];
+    const lastSegment = payload.segments[payload.segments.length - 1];
+
+    payload.legs.push({
+      id: legId,
+      origin_place_id: getPlaceId(from),
+      destination_place_id: getPlaceId(to),
+      departure: firstSegment.departure,
+      arrival: lastSegment.arrival,
+      segment_ids: segmentIds,
+      stop_count: stops,
+      marketing_carrier_ids: [carrier.id]
+    });
+
+    return { legId, flightMinutes };
+  };
+
+  const itineraryCount = randomInt(random, 6, 12);
+
+  for (let i = 0; i < itineraryCount; i++) {
+    const outbound = createLeg(query.originCode, query.destinationCode, query.departureDate);
+    const legs = [outbound];
+
+    if (query.tripType === 'round-trip') {
+      legs.push(createLeg(query.destinationCode, query.originCode, query.returnDate));
+    }
+
+    const flightMinutes = legs.reduce((total, leg) => total + leg.flightMinutes, 0);
+    // Children pay most of an adult fare, lap infants only taxes
+    const { adults, children, infants } = query.passengers;
+    const travellers = adults + children * 0.75 + infants * 0.1;
+    const basePrice = (60 + flightMinutes * 0.35) * classMultiplier * travellers;
+    const agents = shuffle(random, referenceData.agents)
+      .slice(0, randomInt(random, 1, referenceData.agents.length));
+
+    payload.itineraries.push({
+      id: `mock-itinerary-${i + 1}`,
+      leg_ids: legs.map(leg => leg.legId),
+      pricing_options: agents.map(agent => {
+        // Some agents quote in their home currency, as real ones do
+        const currency = agent.quote_currency || BASE_CURRENCY;
+        return {
+          agent_ids: [agent.id],
+          price: {
+            amount: Math.round(convertAmount(
+              basePrice * (0.85 + random() * 0.3),
+              BASE_CURRENCY,
+              currency
+            ) * 100) / 100,
+            currency,
+            update_status: 'current'
+          },
+          url: `/transport_deeplink/4.0/US/en-US/${currency}/${agent.id}/1/mock-itinerary-${i + 1}`
+        };
+      })
+    });
+  }
+
+  return payload;
+};
+
+/**
+ * Offline provider that serves generated Flight API payloads
+ * Enable it with REACT_APP_FLIGHT_PROVIDERS=mock. It reuses the Flight API
+ * adapter's normalization and error mapping, so every downstream path runs
+ * exactly as it would against the live API.
+ * @type {import('./index').FlightProvider}
+ */
+const mockProvider = {
+  id: 'mock',
+  name: 'Mock Flights',
+
+  /**
+   * Play back the active scenario for a query
+   * @param {Object} query - Normalized search query
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Aborts the simulated request
+   * @param {Function} [options.onAttempt] - Reports each retry attempt
+   * @returns {Promise<Object>} Generated payload
+   */
+  async search(query, { signal, onAttempt } = {}) {
+    const scenario = getMockScenario();
+    const url = `mock://flights/${query.originCode}/${query.destinationCode}/${query.departureDate}`;
+
+    console.log('Mock provider scenario:', scenario);
+
+    // Go through the same retry policy as live requests so 429/5xx retries can be seen
+    return withRetry(async () => {
+      await delay(MOCK_CONFIG.LATENCY_MS, signal);
+
+      switch (scenario) {
+        case 'empty':
+          return { itineraries: [], legs: [], segments: [], carriers: [], places: [], agents: [] };
+        case 'quota':
+        case 'rate-limit':
+        case 'server-error':
+          throw createHttpError(referenceData.errors[scenario], url);
+        case 'timeout': {
+          const error = new Error(`timeout of ${MOCK_CONFIG.LATENCY_MS}ms exceeded`);
+          error.code = 'ECONNABORTED';
+          error.config = { url };
+          throw error;
+        }
+        case 'malformed':
+          return referenceData.malformedPayload;
+        default:
+          return generatePayload(query);
+      }
+    }, { signal, onAttempt });
+  },
+
+  normalizeResponse(data, query) {
+    return flightApiProvider.normalizeResponse.call(this, data, query);
+  },
+
+  mapError(error, query) {
+    return flightApiProvider.mapError.call(this, error, query);
+  }
+};
+
+export default mockProvider;
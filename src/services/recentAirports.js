@@ -0,0 +1,45 @@
+import { createStore } from './storage';
+import { secureError } from './secureLogger';
+
+/**
+ * Airports the user searched recently, newest first
+ * Shown at the top of the airport autocomplete.
+ */
+
+export const MAX_RECENT_AIRPORTS = 5;
+
+const store = createStore('airports');
+const RECENT_KEY = 'recent';
+
+/**
+ * Read the recent airports
+ * @returns {Promise<string[]>} IATA codes, newest first
+ */
+export const getRecentAirports = async () => {
+  try {
+    const recent = await store.get(RECENT_KEY);
+    return Array.isArray(recent) ? recent : [];
+  } catch (error) {
+    secureError('Failed to read recent airports:', error);
+    return [];
+  }
+};
+
+/**
+ * Move airports to the front of the recent list
+ * @param {string[]} codes - IATA codes that were just searched
+ * @returns {Promise<string[]>} The updated list
+ */
+export const addRecentAirports = async (codes) => {
+  const added = codes.filter(Boolean).map(code => code.toUpperCase());
+  const recent = await getRecentAirports();
+  const updated = [...new Set([...added, ...recent])].slice(0, MAX_RECENT_AIRPORTS);
+
+  try {
+    await store.set(RECENT_KEY, updated);
+  } catch (error) {
+    secureError('Failed to save recent airports:', error);
+  }
+
+  return updated;
+};
@@ -0,0 +1,218 @@
+import { createStore } from './storage';
+import { secureError } from './secureLogger';
+import { toLocalDate } from '../utils/calendarDate';
+
+/**
+ * Searches to run again in one click
+ * Every search that completes goes to the front of a short history; a search
+ * can also be pinned under a name, which keeps it until it's removed. Both
+ * remember the cheapest fare the search last found.
+ */
+
+export const MAX_SEARCH_HISTORY = 8;
+export const MAX_SAVED_SEARCH_NAME_LENGTH = 40;
+
+const store = createStore('searches');
+const HISTORY_KEY = 'history';
+const PINNED_KEY = 'pinned';
+
+/**
+ * @typedef {Object} SavedSearch
+ * @property {string} id - Unique id
+ * @property {string} key - Identity of the search, see getSearchKey
+ * @property {string} [name] - Name given when pinned
+ * @property {Object} params - Search form parameters
+ * @property {number} searchedAt - When it was last run
+ * @property {number|null} lastCheapest - Cheapest fare it last found, in the base currency
+ * @property {number|null} lastPricedAt - When that fare was seen
+ */
+
+/**
+ * Keep only what the search form fills in, with its defaults
+ * @param {Object} searchParams - Parameters passed to handleSearch
+ * @returns {Object} Parameters that can refill the form and search again
+ */
+const pickSearchParams = (searchParams) => {
+  const isMultiCity = searchParams.tripType === 'multi-city';
+  return {
+    tripType: searchParams.tripType || 'one-way',
+    origin: isMultiCity ? '' : searchParams.origin,
+    destination: isMultiCity ? '' : searchParams.destination,
+    departureDate: isMultiCity ? '' : searchParams.departureDate,
+    returnDate: searchParams.tripType === 'round-trip' ? searchParams.returnDate : '',
+    ...(isMultiCity
+      ? { legs: searchParams.legs.map(({ origin, destination, departureDate }) => ({ origin, destination, departureDate })) }
+      : {}),
+    passengers: searchParams.passengers,
+    travelClass: searchParams.travelClass || 'economy',
+    nearbyRadiusKm: Number(searchParams.nearbyRadiusKm) || 0,
+    flexibleDays: Number(searchParams.flexibleDays) || 0,
+    ...(searchParams.confirmedAirports?.length ? { confirmedAirports: searchParams.confirmedAirports } : {})
+  };
+};
+
+/**
+ * Identity of a search: the same route, dates and options give the same key
+ * Airport text is compared case-insensitively.
+ * @param {Object} searchParams - Search parameters
+ * @returns {string} Key
+ */
+export const getSearchKey = (searchParams) => {
+  const { confirmedAirports, ...params } = pickSearchParams(searchParams);
+  const upper = (text) => String(text || '').trim().toUpperCase();
+
+  return JSON.stringify({
+    ...params,
+    origin: upper(params.origin),
+    destination: upper(params.destination),
+    legs: params.legs?.map(leg => ({ ...leg, origin: upper(leg.origin), destination: upper(leg.destination) })),
+    passengers: [params.passengers?.adults, params.passengers?.children || 0, params.passengers?.infants || 0]
+  });
+};
+
+/**
+ * Short description of a search for a chip
+ * @param {Object} params - Search parameters
+ * @returns {string} e.g. "DEL ⇄ BOM, Nov 20 - Nov 27"
+ */
+export const describeSearch = (params) => {
+  const formatDay = (dateString) => toLocalDate(dateString)
+    ?.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) || dateString;
+
+  if (params.tripType === 'multi-city') {
+    const stops = [params.legs[0].origin, ...params.legs.map(leg => leg.destination)];
+    return `${stops.join(' → ')}, ${formatDay(params.legs[0].departureDate)}`;
+  }
+  if (params.tripType === 'round-trip') {
+    return `${params.origin} ⇄ ${params.destination}, ${formatDay(params.departureDate)} - ${formatDay(params.returnDate)}`;
+  }
+  return `${params.origin} → ${params.destination}, ${formatDay(params.departureDate)}`;
+};
+
+/**
+ * Read a list from the store
+ * @param {string} key - HISTORY_KEY or PINNED_KEY
+ * @returns {Promise<SavedSearch[]>} Entries, or none if unreadable
+ */
+const readList = async (key) => {
+  try {
+    const list = await store.get(key);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    secureError('Failed to read saved searches:', error);
+    return [];
+  }
+};
+
+/**
+ * Write a list to the store
+ * @param {string} key - HISTORY_KEY or PINNED_KEY
+ * @param {SavedSearch[]} list - Entries
+ */
+const writeList = async (key, list) => {
+  try {
+    await store.set(key, list);
+  } catch (error) {
+    secureError('Failed to save searches:', error);
+  }
+};
+
+/**
+ * Read the pinned searches and the history
+ * @returns {Promise<Object>} { pinned, history } - pinned in the order they were
+ *   pinned, history newest first
+ */
+export const getSavedSearches = async () => {
+  const [pinned, history] = await Promise.all([readList(PINNED_KEY), readList(HISTORY_KEY)]);
+  return { pinned, history };
+};
+
+/**
+ * Record a search that just ran, with the cheapest fare it found
+ * It moves to the front of the history, and a pinned search with the same
+ * key picks up the fare. A search that found nothing keeps the last fare.
+ * @param {Object} searchParams - Parameters the search ran with
+ * @param {number|null} cheapest - Cheapest fare, in the base currency
+ * @returns {Promise<Object>} { pinned, history } as updated
+ */
+export const recordSearch = async (searchParams, cheapest) => {
+  const params = pickSearchParams(searchParams);
+  const key = getSearchKey(params);
+  const now = Date.now();
+  const { pinned, history } = await getSavedSearches();
+
+  /**
+   * Bring an entry up to date with this search
+   * @param {SavedSearch} entry - Existing entry for the same key
+   * @returns {SavedSearch} Updated entry
+   */
+  const update = (entry) => ({
+    ...entry,
+    params,
+    searchedAt: now,
+    ...(cheapest !== null ? { lastCheapest: cheapest, lastPricedAt: now } : {})
+  });
+
+  const previous = history.find(entry => entry.key === key);
+  const updatedHistory = [
+    previous
+      ? update(previous)
+      : update({ id: `search-${now}-${Math.random().toString(36).slice(2, 8)}`, key, lastCheapest: null, lastPricedAt: null }),
+    ...history.filter(entry => entry.key !== key)
+  ].slice(0, MAX_SEARCH_HISTORY);
+  const updatedPinned = pinned.map(entry => (entry.key === key ? update(entry) : entry));
+
+  await Promise.all([
+    writeList(HISTORY_KEY, updatedHistory),
+    pinned.some(entry => entry.key === key) ? writeList(PINNED_KEY, updatedPinned) : null
+  ]);
+
+  return { pinned: updatedPinned, history: updatedHistory };
+};
+
+/**
+ * Pin a search under a name
+ * Pinning a search that's already pinned renames it.
+ * @param {SavedSearch} entry - History entry to pin
+ * @param {string} name - Name to show on its chip
+ * @returns {Promise<Object>} { pinned, history } as updated
+ */
+export const pinSearch = async (entry, name) => {
+  const trimmedName = name.trim().slice(0, MAX_SAVED_SEARCH_NAME_LENGTH) || describeSearch(entry.params);
+  const { pinned, history } = await getSavedSearches();
+
+  const updatedPinned = pinned.some(saved => saved.key === entry.key)
+    ? pinned.map(saved => (saved.key === entry.key ? { ...saved, name: trimmedName } : saved))
+    : [...pinned, { ...entry, id: `pinned-${Date.now()}`, name: trimmedName }];
+
+  await writeList(PINNED_KEY, updatedPinned);
+  return { pinned: updatedPinned, history };
+};
+
+/**
+ * Remove a pinned search or a history entry
+ * @param {string} id - Entry id
+ * @returns {Promise<Object>} { pinned, history } as updated
+ */
+export const removeSavedSearch = async (id) => {
+  const { pinned, history } = await getSavedSearches();
+  const updatedPinned = pinned.filter(entry => entry.id !== id);
+  const updatedHistory = history.filter(entry => entry.id !== id);
+
+  await Promise.all([
+    updatedPinned.length !== pinned.length ? writeList(PINNED_KEY, updatedPinned) : null,
+    updatedHistory.length !== history.length ? writeList(HISTORY_KEY, updatedHistory) : null
+  ]);
+
+  return { pinned: updatedPinned, history: updatedHistory };
+};
+
+/**
+ * Forget every search in the history; pinned searches stay
+ * @returns {Promise<Object>} { pinned, history } as updated
+ */
+export const clearSearchHistory = async () => {
+  const { pinned } = await getSavedSearches();
+  await writeList(HISTORY_KEY, []);
+  return { pinned, history: [] };
+};
@@ -0,0 +1,107 @@
+import { createStore } from './storage';
+import { secureError } from './secureLogger';
+
+/**
+ * Cache of normalized search results
+ * A memory layer answers repeat searches instantly; the persistent layer
+ * keeps results across reloads until they expire.
+ */
+
+const CACHE_CONFIG = {
+  TTL_MS: (parseFloat(process.env.REACT_APP_CACHE_TTL_MINUTES) || 15) * 60 * 1000,
+};
+
+const memoryCache = new Map();
+const persistentCache = createStore('search-cache');
+
+/**
+ * Build the cache key for a normalized query
+ * Uses resolved airport codes, so "delhi" and "DEL" share an entry.
+ * @param {Object} query - Normalized search query
+ * @returns {string} Cache key
+ */
+export const buildCacheKey = (query) => [
+  query.tripType,
+  query.originCode,
+  query.destinationCode,
+  query.departureDate,
+  query.returnDate || '',
+  `${query.passengers.adults}-${query.passengers.children}-${query.passengers.infants}`,
+  query.travelClass
+].join('|');
+
+/**
+ * Check whether a cache entry is still within the TTL
+ * @param {Object} entry - Cache entry
+ * @returns {boolean} True if the entry can be served
+ */
+const isFresh = (entry) => Boolean(entry) && Date.now() - entry.cachedAt < CACHE_CONFIG.TTL_MS;
+
+/**
+ * Look up cached results
+ * @param {string} key - Cache key from buildCacheKey
+ * @returns {Promise<Object|null>} { tickets, cachedAt } or null when missing or expired
+ */
+export const getCachedResults = async (key) => {
+  let entry = memoryCache.get(key);
+
+  if (!entry) {
+    try {
+      entry = await persistentCache.get(key);
+    } catch (error) {
+      secureError('Search cache read failed:', error);
+    }
+
+    if (entry) {
+      memoryCache.set(key, entry);
+    }
+  }
+
+  if (!isFresh(entry)) {
+    if (entry) {
+      memoryCache.delete(key);
+      persistentCache.remove(key).catch(() => {});
+    }
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Store results and drop any persisted entries that have expired
+ * @param {string} key - Cache key from buildCacheKey
+ * @param {Array} tickets - Normalized tickets
+ * @returns {Promise<Object>} The stored { tickets, cachedAt } entry
+ */
+export const setCachedResults = async (key, tickets) => {
+  const entry = { tickets, cachedAt: Date.now() };
+  memoryCache.set(key, entry);
+
+  try {
+    await persistentCache.set(key, entry);
+
+    const entries = await persistentCache.entries();
+    await Promise.all(entries
+      .filter(({ value }) => !isFresh(value))
+      .map(({ key: staleKey }) => persistentCache.remove(staleKey)));
+  } catch (error) {
+    secureError('Search cache write failed:', error);
+  }
+
+  return entry;
+};
+
+/**
+ * Remove every cached search
+ */
+export const clearSearchCache = async () => {
+  memoryCache.clear();
+
+  try {
+    const entries = await persistentCache.entries();
+    await Promise.all(entries.map(({ key }) => persistentCache.remove(key)));
+  } catch (error) {
+    secureError('Search cache clear failed:', error);
+  }
+};
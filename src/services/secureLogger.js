@@ -0,0 +1,67 @@
+/**
+ * Logging helpers that keep API keys and other secrets out of the console
+ */
+
+export const sanitizeUrl = (url) => {
+  if (!url || typeof url !== 'string') return url;
+  
+  try {
+    const urlObj = new URL(url);
+    
+    // Replace API key in path segments with placeholder
+    const pathSegments = urlObj.pathname.split('/');
+    const sanitizedSegments = pathSegments.map(segment => {
+      // Check if segment looks like an API key (long alphanumeric string)
+      if (/^[a-zA-Z0-9]{20,}$/.test(segment)) {
+        return '[API_KEY_REDACTED]';
+      }
+      return segment;
+    });
+    
+    urlObj.pathname = sanitizedSegments.join('/');
+    
+    // Remove sensitive query parameters
+    const sensitiveParams = ['key', 'api_key', 'apikey', 'token', 'secret', 'auth'];
+    sensitiveParams.forEach(param => {
+      if (urlObj.searchParams.has(param)) {
+        urlObj.searchParams.set(param, '[REDACTED]');
+      }
+    });
+    
+    return urlObj.toString();
+  } catch (e) {
+    // If URL parsing fails, try basic string replacement
+    return url.replace(/\/[a-zA-Z0-9]{20,}\//g, '/[API_KEY_REDACTED]/');
+  }
+};
+
+export const sanitizeErrorObject = (errorObj) => {
+  if (!errorObj || typeof errorObj !== 'object') return errorObj;
+  
+  const sanitized = {};
+  
+  for (const [key, value] of Object.entries(errorObj)) {
+    if (typeof value === 'string') {
+      if (key.toLowerCase() === 'url') {
+        sanitized[key] = sanitizeUrl(value);
+      } else {
+        sanitized[key] = value;
+      }
+    } else if (typeof value === 'object' && value !== null) {
+      sanitized[key] = sanitizeErrorObject(value);
+    } else {
+      sanitized[key] = value;
+    }
+  }
+  
+  return sanitized;
+};
+
+// Secure logging functions
+export const secureLog = (message, data) => {
+  console.log(message, sanitizeErrorObject(data));
+};
+
+export const secureError = (message, error) => {
+  console.error(message, sanitizeErrorObject(error));
+};
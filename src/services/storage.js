@@ -0,0 +1,175 @@
+/**
+ * Small async key-value persistence for browser data
+ * Uses IndexedDB when available and falls back to localStorage, then to
+ * memory (e.g. private browsing or tests), so callers never need to care
+ * which backend they got.
+ */
+
+const DB_NAME = 'flight-ticket-compare';
+const DB_VERSION = 1;
+const STORE_NAME = 'records';
+const LOCAL_STORAGE_PREFIX = 'ftc:';
+
+let databasePromise = null;
+const memoryFallback = new Map();
+
+/**
+ * Open (once) the IndexedDB database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unusable
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+        request.onblocked = () => resolve(null);
+      } catch (error) {
+        resolve(null);
+      }
+    });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * Run a single request against the object store
+ * @param {IDBDatabase} db - Open database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+const runRequest = (db, mode, operation) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(STORE_NAME, mode);
+  const request = operation(transaction.objectStore(STORE_NAME));
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Get localStorage if the browser lets us use it
+ * @returns {Storage|null} localStorage or null
+ */
+const getLocalStorage = () => {
+  try {
+    if (typeof localStorage === 'undefined') return null;
+    const probe = `${LOCAL_STORAGE_PREFIX}probe`;
+    localStorage.setItem(probe, probe);
+    localStorage.removeItem(probe);
+    return localStorage;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Create a namespaced store
+ * @param {string} namespace - Prefix that keeps each feature's records apart
+ * @returns {Object} Store with async get, set, remove and entries methods
+ */
+export const createStore = (namespace) => {
+  const prefix = `${namespace}:`;
+  // Every key under this namespace sorts between prefix and prefix + '\uffff'
+  const getRange = () => IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+
+  return {
+    /**
+     * Read a value
+     * @param {string} key - Record key
+     * @returns {Promise<any>} Stored value, or undefined
+     */
+    async get(key) {
+      const db = await openDatabase();
+      if (db) {
+        return runRequest(db, 'readonly', store => store.get(prefix + key));
+      }
+
+      const storage = getLocalStorage();
+      if (storage) {
+        const raw = storage.getItem(LOCAL_STORAGE_PREFIX + prefix + key);
+        return raw === null ? undefined : JSON.parse(raw);
+      }
+
+      return memoryFallback.get(prefix + key);
+    },
+
+    /**
+     * Write a value
+     * @param {string} key - Record key
+     * @param {any} value - JSON-serializable value
+     */
+    async set(key, value) {
+      const db = await openDatabase();
+      if (db) {
+        await runRequest(db, 'readwrite', store => store.put(value, prefix + key));
+        return;
+      }
+
+      const storage = getLocalStorage();
+      if (storage) {
+        storage.setItem(LOCAL_STORAGE_PREFIX + prefix + key, JSON.stringify(value));
+        return;
+      }
+
+      memoryFallback.set(prefix + key, value);
+    },
+
+    /**
+     * Delete a value
+     * @param {string} key - Record key
+     */
+    async remove(key) {
+      const db = await openDatabase();
+      if (db) {
+        await runRequest(db, 'readwrite', store => store.delete(prefix + key));
+        return;
+      }
+
+      const storage = getLocalStorage();
+      if (storage) {
+        storage.removeItem(LOCAL_STORAGE_PREFIX + prefix + key);
+        return;
+      }
+
+      memoryFallback.delete(prefix + key);
+    },
+
+    /**
+     * Read every record in this namespace
+     * @returns {Promise<Array>} Array of { key, value }, ordered by key
+     */
+    async entries() {
+      const db = await openDatabase();
+      if (db) {
+        const [keys, values] = await Promise.all([
+          runRequest(db, 'readonly', store => store.getAllKeys(getRange())),
+          runRequest(db, 'readonly', store => store.getAll(getRange()))
+        ]);
+        return keys.map((key, index) => ({ key: key.slice(prefix.length), value: values[index] }));
+      }
+
+      const storage = getLocalStorage();
+      if (storage) {
+        const storagePrefix = LOCAL_STORAGE_PREFIX + prefix;
+        return Object.keys(storage)
+          .filter(key => key.startsWith(storagePrefix))
+          .sort()
+          .map(key => ({ key: key.slice(storagePrefix.length), value: JSON.parse(storage.getItem(key)) }));
+      }
+
+      return [...memoryFallback.keys()]
+        .filter(key => key.startsWith(prefix))
+        .sort()
+        .map(key => ({ key: key.slice(prefix.length), value: memoryFallback.get(key) }));
+    }
+  };
+};
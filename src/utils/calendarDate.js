@@ -0,0 +1,159 @@
+/**
+ * Calendar dates without a time or time zone
+ * Travel dates are plain "YYYY-MM-DD" days, the same wherever the user is.
+ * `new Date('2027-01-10')` reads them as UTC midnight, which is the day before
+ * west of UTC, so dates are handled here as year/month/day only. The one place
+ * the browser's zone matters is working out what "today" is.
+ */
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Split a calendar date into its parts
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @returns {Object|null} { year, month, day }, or null if malformed or not a real day (e.g. Feb 30)
+ */
+export const parseCalendarDate = (dateString) => {
+  const match = DATE_PATTERN.exec(typeof dateString === 'string' ? dateString.trim() : '');
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+
+  return { year, month, day };
+};
+
+/**
+ * Check whether a string is a real calendar date
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @returns {boolean} True if it can be used as a travel date
+ */
+export const isValidCalendarDate = (dateString) => parseCalendarDate(dateString) !== null;
+
+/**
+ * Write calendar date parts as a string
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @returns {string} "YYYY-MM-DD"
+ */
+const formatParts = (year, month, day) => (
+  `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+);
+
+/**
+ * Day count since the epoch, so dates can be compared and subtracted
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @returns {number} Whole days, or NaN if malformed
+ */
+const toDayNumber = (dateString) => {
+  const parts = parseCalendarDate(dateString);
+  return parts ? Date.UTC(parts.year, parts.month - 1, parts.day) / MS_PER_DAY : NaN;
+};
+
+/**
+ * Today's date where the user is
+ * @param {Date} [now] - Current moment, mainly for tests
+ * @returns {string} "YYYY-MM-DD" in the browser's zone
+ */
+export const getToday = (now = new Date()) => (
+  formatParts(now.getFullYear(), now.getMonth() + 1, now.getDate())
+);
+
+/**
+ * Order two calendar dates
+ * @param {string} a - "YYYY-MM-DD"
+ * @param {string} b - "YYYY-MM-DD"
+ * @returns {number} Negative if a is earlier, 0 if the same day, positive if later; NaN if either is malformed
+ */
+export const compareCalendarDates = (a, b) => toDayNumber(a) - toDayNumber(b);
+
+/**
+ * Whole days from one date to another
+ * @param {string} fromDate - "YYYY-MM-DD"
+ * @param {string} toDate - "YYYY-MM-DD"
+ * @returns {number} e.g. 1 when toDate is the next day; NaN if either is malformed
+ */
+export const daysBetween = (fromDate, toDate) => compareCalendarDates(toDate, fromDate);
+
+/**
+ * Move a date by a number of days
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @param {number} days - Days to add; negative goes back
+ * @returns {string|null} "YYYY-MM-DD", or null if the date is malformed
+ */
+export const addDays = (dateString, days) => {
+  const dayNumber = toDayNumber(dateString);
+  if (Number.isNaN(dayNumber)) return null;
+
+  const date = new Date((dayNumber + days) * MS_PER_DAY);
+  return formatParts(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+};
+
+/**
+ * Check whether a date is before today where the user is
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @param {Date} [now] - Current moment, mainly for tests
+ * @returns {boolean} True for yesterday and earlier
+ */
+export const isBeforeToday = (dateString, now = new Date()) => compareCalendarDates(dateString, getToday(now)) < 0;
+
+/**
+ * A calendar date as a Date at local noon, for display with toLocaleDateString
+ * Noon keeps it on the right day whatever daylight saving does.
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @returns {Date|null} Local Date, or null if malformed
+ */
+export const toLocalDate = (dateString) => {
+  const parts = parseCalendarDate(dateString);
+  return parts ? new Date(parts.year, parts.month - 1, parts.day, 12) : null;
+};
+
+/**
+ * The month a date falls in
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @returns {string|null} "YYYY-MM", or null if malformed
+ */
+export const getMonthOf = (dateString) => (isValidCalendarDate(dateString) ? dateString.slice(0, 7) : null);
+
+/**
+ * Move a month by a number of months
+ * @param {string} month - "YYYY-MM"
+ * @param {number} months - Months to add; negative goes back
+ * @returns {string|null} "YYYY-MM", or null if the month is malformed
+ */
+export const addMonths = (month, months) => {
+  const parts = parseCalendarDate(`${month}-01`);
+  if (!parts) return null;
+
+  const index = parts.year * 12 + (parts.month - 1) + months;
+  return formatParts(Math.floor(index / 12), (index % 12) + 1, 1).slice(0, 7);
+};
+
+/**
+ * Every date in a month
+ * @param {string} month - "YYYY-MM"
+ * @returns {string[]} "YYYY-MM-DD" from the 1st to the last day; empty if malformed
+ */
+export const getMonthDates = (month) => {
+  const parts = parseCalendarDate(`${month}-01`);
+  if (!parts) return [];
+
+  const dayCount = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+  return Array.from({ length: dayCount }, (_, index) => formatParts(parts.year, parts.month, index + 1));
+};
+
+/**
+ * Day of the week of a date
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @returns {number} 0 for Sunday to 6 for Saturday; NaN if malformed
+ */
+export const getWeekday = (dateString) => {
+  const dayNumber = toDayNumber(dateString);
+  // 1970-01-01 was a Thursday
+  return Number.isNaN(dayNumber) ? NaN : (((dayNumber + 4) % 7) + 7) % 7;
+};
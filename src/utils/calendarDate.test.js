@@ -0,0 +1,148 @@
+import {
+  addDays,
+  addMonths,
+  compareCalendarDates,
+  daysBetween,
+  getMonthDates,
+  getMonthOf,
+  getToday,
+  getWeekday,
+  isBeforeToday,
+  isValidCalendarDate,
+  parseCalendarDate
+} from './calendarDate';
+import { formatDate, validateSearchParams } from './helpers';
+
+// The zone comes from outside: Node reads TZ once at startup, so setting it here
+// would change nothing. `npm run test:timezones` runs this file in several zones.
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const searchFor = (overrides) => ({
+  tripType: 'one-way',
+  origin: 'DEL',
+  destination: 'LHR',
+  departureDate: '2027-01-10',
+  passengers: { adults: 1, children: 0, infants: 0 },
+  ...overrides
+});
+
+describe(`calendar dates in ${timeZone}`, () => {
+  beforeAll(() => {
+    jest.useFakeTimers();
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  test('runs in the time zone it was started with', () => {
+    const instant = new Date(Date.UTC(2027, 0, 10, 12, 0));
+    const startedWith = process.env.TZ || timeZone;
+    expect(instant.toLocaleString('en-US')).toBe(instant.toLocaleString('en-US', { timeZone: startedWith }));
+  });
+
+  test.each([
+    [0, 15],
+    [12, 0],
+    [23, 45]
+  ])('today is the local date at %i:%i', (hour, minute) => {
+    const now = new Date(2027, 0, 10, hour, minute);
+    expect(getToday(now)).toBe('2027-01-10');
+    expect(isBeforeToday('2027-01-10', now)).toBe(false);
+    expect(isBeforeToday('2027-01-09', now)).toBe(true);
+    expect(isBeforeToday('2027-01-11', now)).toBe(false);
+  });
+
+  test('parses only real dates', () => {
+    expect(parseCalendarDate('2027-01-10')).toEqual({ year: 2027, month: 1, day: 10 });
+    expect(isValidCalendarDate('2028-02-29')).toBe(true);
+    expect(isValidCalendarDate('2027-02-29')).toBe(false);
+    expect(isValidCalendarDate('2027-13-01')).toBe(false);
+    expect(isValidCalendarDate('2027-1-5')).toBe(false);
+    expect(isValidCalendarDate('2027-01-10T00:00:00')).toBe(false);
+    expect(isValidCalendarDate('')).toBe(false);
+    expect(isValidCalendarDate(undefined)).toBe(false);
+  });
+
+  test('compares and counts days', () => {
+    expect(compareCalendarDates('2027-01-10', '2027-01-10')).toBe(0);
+    expect(compareCalendarDates('2027-01-09', '2027-01-10')).toBeLessThan(0);
+    expect(compareCalendarDates('2027-02-01', '2027-01-31')).toBeGreaterThan(0);
+    expect(daysBetween('2027-03-13', '2027-03-15')).toBe(2);
+    expect(daysBetween('2027-10-30', '2027-11-01')).toBe(2);
+    expect(daysBetween('2027-01-10', '2027-01-09')).toBe(-1);
+    expect(Number.isNaN(compareCalendarDates('not a date', '2027-01-10'))).toBe(true);
+  });
+
+  test('adds days across months, years, leap days and daylight saving changes', () => {
+    expect(addDays('2027-01-31', 1)).toBe('2027-02-01');
+    expect(addDays('2027-12-31', 1)).toBe('2028-01-01');
+    expect(addDays('2028-02-28', 1)).toBe('2028-02-29');
+    expect(addDays('2027-03-14', 1)).toBe('2027-03-15');
+    expect(addDays('2027-03-28', 1)).toBe('2027-03-29');
+    expect(addDays('2027-11-07', -7)).toBe('2027-10-31');
+    expect(addDays('2027-02-30', 1)).toBeNull();
+  });
+
+  test('lists months and weekdays', () => {
+    expect(getMonthOf('2027-01-10')).toBe('2027-01');
+    expect(addMonths('2027-01', 1)).toBe('2027-02');
+    expect(addMonths('2027-12', 1)).toBe('2028-01');
+    expect(addMonths('2027-01', -1)).toBe('2026-12');
+    expect(getMonthDates('2028-02')).toHaveLength(29);
+    expect(getMonthDates('2027-04')[29]).toBe('2027-04-30');
+    expect(getMonthDates('2027-13')).toEqual([]);
+    expect(getWeekday('2027-01-10')).toBe(0);
+    expect(getWeekday('2027-03-14')).toBe(0);
+    expect(getWeekday('1969-12-31')).toBe(3);
+  });
+
+  test('formats a plain date as that day', () => {
+    expect(formatDate('2027-01-10')).toBe('Sun, Jan 10');
+  });
+
+  describe('validateSearchParams', () => {
+    test.each([
+      [0, 5],
+      [23, 55]
+    ])('accepts today and rejects yesterday at %i:%i', (hour, minute) => {
+      jest.setSystemTime(new Date(2027, 0, 10, hour, minute));
+
+      expect(validateSearchParams(searchFor({ departureDate: '2027-01-10' })).departureDate).toBeUndefined();
+      expect(validateSearchParams(searchFor({ departureDate: '2027-01-09' })).departureDate)
+        .toBe('Departure date must be today or in the future');
+    });
+
+    test('needs the return after the departure', () => {
+      jest.setSystemTime(new Date(2027, 0, 10, 23, 55));
+
+      const sameDay = searchFor({ tripType: 'round-trip', returnDate: '2027-01-10' });
+      expect(validateSearchParams(sameDay).returnDate).toBe('Return date must be after departure date');
+
+      const nextDay = searchFor({ tripType: 'round-trip', returnDate: '2027-01-11' });
+      expect(validateSearchParams(nextDay)).toEqual({});
+    });
+
+    test('rejects malformed dates', () => {
+      jest.setSystemTime(new Date(2027, 0, 10, 12, 0));
+
+      expect(validateSearchParams(searchFor({ departureDate: '2027-02-30' })).departureDate)
+        .toBe('Please enter a valid departure date');
+    });
+
+    test('keeps multi-city legs in travel order, allowing the same day', () => {
+      jest.setSystemTime(new Date(2027, 0, 10, 0, 5));
+
+      const legs = [
+        { origin: 'DEL', destination: 'DXB', departureDate: '2027-01-10' },
+        { origin: 'DXB', destination: 'LHR', departureDate: '2027-01-10' },
+        { origin: 'LHR', destination: 'JFK', departureDate: '2027-01-09' }
+      ];
+      const errors = validateSearchParams(searchFor({ tripType: 'multi-city', legs }));
+
+      expect(errors.legs[0]).toEqual({});
+      expect(errors.legs[1]).toEqual({});
+      expect(errors.legs[2].departureDate).toBe('Departure date must be today or in the future');
+    });
+  });
+});
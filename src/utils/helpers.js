@@ -1,3 +1,6 @@
+import { describeFlightTime } from './timeZones';
+import { compareCalendarDates, daysBetween, isBeforeToday, isValidCalendarDate, toLocalDate } from './calendarDate';
+
 /**
  * Utility functions for data validation, formatting, and common operations
  */
@@ -10,6 +13,21 @@
 export const validateSearchParams = (searchParams) => {
   const errors = {};
 
+  // Multi-city searches carry their routes in `legs` instead of the top-level fields
+  if (searchParams.tripType === 'multi-city') {
+    const legErrors = validateMultiCityLegs(searchParams.legs);
+    if (legErrors) {
+      errors.legs = legErrors;
+    }
+
+    const passengerError = validatePassengers(searchParams.passengers);
+    if (passengerError) {
+      errors.passengers = passengerError;
+    }
+
+    return errors;
+  }
+
   // Validate origin
   if (!searchParams.origin || searchParams.origin.trim().length < 2) {
     errors.origin = 'Please enter a valid origin city or airport';
@@ -29,38 +47,157 @@ export const validateSearchParams = (searchParams) => {
   // Validate departure date
   if (!searchParams.departureDate) {
     errors.departureDate = 'Please select a departure date';
-  } else {
-    const departureDate = new Date(searchParams.departureDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    if (departureDate < today) {
-      errors.departureDate = 'Departure date must be today or in the future';
-    }
+  } else if (!isValidCalendarDate(searchParams.departureDate)) {
+    errors.departureDate = 'Please enter a valid departure date';
+  } else if (isBeforeToday(searchParams.departureDate)) {
+    errors.departureDate = 'Departure date must be today or in the future';
   }
 
   // Validate return date for round-trip
   if (searchParams.tripType === 'round-trip') {
     if (!searchParams.returnDate) {
       errors.returnDate = 'Please select a return date';
-    } else if (searchParams.departureDate) {
-      const departureDate = new Date(searchParams.departureDate);
-      const returnDate = new Date(searchParams.returnDate);
-
-      if (returnDate <= departureDate) {
-        errors.returnDate = 'Return date must be after departure date';
-      }
+    } else if (!isValidCalendarDate(searchParams.returnDate)) {
+      errors.returnDate = 'Please enter a valid return date';
+    } else if (isValidCalendarDate(searchParams.departureDate) &&
+               compareCalendarDates(searchParams.returnDate, searchParams.departureDate) <= 0) {
+      errors.returnDate = 'Return date must be after departure date';
     }
   }
 
   // Validate passengers
-  if (searchParams.passengers < 1 || searchParams.passengers > 9) {
-    errors.passengers = 'Number of passengers must be between 1 and 9';
+  const passengerError = validatePassengers(searchParams.passengers);
+  if (passengerError) {
+    errors.passengers = passengerError;
   }
 
   return errors;
 };
 
+/**
+ * Validate the legs of a multi-city search
+ * Each leg needs its own route and date, and dates may not go backwards
+ * @param {Array} legs - Array of { origin, destination, departureDate }
+ * @returns {Array|null} Per-leg error objects, or null when every leg is valid
+ */
+const validateMultiCityLegs = (legs) => {
+  if (!Array.isArray(legs) || legs.length < 2) {
+    return [{ origin: 'Add at least two flights for a multi-city trip' }];
+  }
+
+  const legErrors = legs.map((leg, index) => {
+    const legError = {};
+
+    if (!leg.origin || leg.origin.trim().length < 2) {
+      legError.origin = 'Please enter a valid origin city or airport';
+    }
+
+    if (!leg.destination || leg.destination.trim().length < 2) {
+      legError.destination = 'Please enter a valid destination city or airport';
+    } else if (leg.origin && leg.origin.toLowerCase().trim() === leg.destination.toLowerCase().trim()) {
+      legError.destination = 'Destination must be different from origin';
+    }
+
+    if (!leg.departureDate) {
+      legError.departureDate = 'Please select a departure date';
+    } else if (!isValidCalendarDate(leg.departureDate)) {
+      legError.departureDate = 'Please enter a valid departure date';
+    } else if (isBeforeToday(leg.departureDate)) {
+      legError.departureDate = 'Departure date must be today or in the future';
+    } else if (index > 0 && isValidCalendarDate(legs[index - 1].departureDate) &&
+               compareCalendarDates(leg.departureDate, legs[index - 1].departureDate) < 0) {
+      legError.departureDate = 'Flight dates must be in travel order';
+    }
+
+    return legError;
+  });
+
+  return legErrors.some(legError => Object.keys(legError).length > 0) ? legErrors : null;
+};
+
+/**
+ * Airline booking limits for one search
+ * Infants travel on an adult's lap, so they don't take a seat but each needs
+ * their own adult.
+ */
+export const PASSENGER_LIMITS = {
+  MAX_SEATS: 9,
+  MIN_ADULTS: 1
+};
+
+/**
+ * Read a passenger breakdown from search parameters
+ * Accepts the { adults, children, infants } object the form produces, or a
+ * plain number (treated as that many adults) from older saved searches.
+ * @param {Object|number|string} passengers - Passenger breakdown or count
+ * @returns {Object} { adults, children, infants } as integers
+ */
+export const normalizePassengers = (passengers) => {
+  const toCount = (value, fallback = 0) => {
+    const count = parseInt(value, 10);
+    return Number.isNaN(count) ? fallback : count;
+  };
+
+  if (passengers && typeof passengers === 'object') {
+    return {
+      adults: toCount(passengers.adults, 1),
+      children: toCount(passengers.children),
+      infants: toCount(passengers.infants)
+    };
+  }
+
+  return { adults: toCount(passengers, 1), children: 0, infants: 0 };
+};
+
+/**
+ * Count the seats a passenger breakdown needs
+ * @param {Object|number} passengers - Passenger breakdown or count
+ * @returns {number} Adults plus children
+ */
+export const getSeatCount = (passengers) => {
+  const { adults, children } = normalizePassengers(passengers);
+  return adults + children;
+};
+
+/**
+ * Check a passenger breakdown against airline booking rules
+ * @param {Object|number} passengers - Passenger breakdown or count
+ * @returns {string|null} Error message, or null when the breakdown is bookable
+ */
+export const validatePassengers = (passengers) => {
+  const { adults, children, infants } = normalizePassengers(passengers);
+
+  if (adults < PASSENGER_LIMITS.MIN_ADULTS) {
+    return 'At least one adult must travel';
+  }
+  if (children < 0 || infants < 0) {
+    return 'Passenger counts cannot be negative';
+  }
+  if (adults + children > PASSENGER_LIMITS.MAX_SEATS) {
+    return `A booking can have at most ${PASSENGER_LIMITS.MAX_SEATS} seated passengers`;
+  }
+  if (infants > adults) {
+    return 'Each infant must travel with their own adult';
+  }
+
+  return null;
+};
+
+/**
+ * Describe a passenger breakdown
+ * @param {Object|number} passengers - Passenger breakdown or count
+ * @returns {string} e.g. "2 adults, 1 child, 1 infant"
+ */
+export const formatPassengerSummary = (passengers) => {
+  const { adults, children, infants } = normalizePassengers(passengers);
+  const parts = [`${adults} ${adults === 1 ? 'adult' : 'adults'}`];
+
+  if (children > 0) parts.push(`${children} ${children === 1 ? 'child' : 'children'}`);
+  if (infants > 0) parts.push(`${infants} ${infants === 1 ? 'infant' : 'infants'}`);
+
+  return parts.join(', ');
+};
+
 /**
  * Format flight duration from minutes to readable format
  * @param {number} minutes - Duration in minutes
@@ -85,25 +222,27 @@ export const formatDuration = (minutes) => {
 
 /**
  * Format time string for display
+ * Date-times are shown as the airport's wall clock, never shifted into the
+ * browser's zone: wall-clock strings as they are, instants (with Z or an
+ * offset) in `timeZone`.
  * @param {string} timeString - ISO time string or time in HH:MM format
+ * @param {string} [timeZone] - IANA zone of the airport the time belongs to
  * @returns {string} Formatted time string (e.g., "2:30 PM")
  */
-export const formatTime = (timeString) => {
+export const formatTime = (timeString, timeZone) => {
   try {
     if (!timeString) return 'N/A';
 
-    let date;
-    
     // Handle ISO date string
-    if (timeString.includes('T') || timeString.includes('Z')) {
-      date = new Date(timeString);
-    } else {
-      // Handle time-only string (HH:MM)
-      const [hours, minutes] = timeString.split(':');
-      date = new Date();
-      date.setHours(parseInt(hours), parseInt(minutes));
+    if (timeString.includes('T')) {
+      return describeFlightTime(timeString, timeZone)?.time || 'N/A';
     }
 
+    // Handle time-only string (HH:MM)
+    const [hours, minutes] = timeString.split(':');
+    const date = new Date();
+    date.setHours(parseInt(hours), parseInt(minutes));
+
     // Format to 12-hour time with AM/PM
     return date.toLocaleTimeString('en-US', {
       hour: 'numeric',
@@ -118,6 +257,7 @@ export const formatTime = (timeString) => {
 
 /**
  * Format date for display
+ * Plain "YYYY-MM-DD" dates are shown as that day wherever the user is.
  * @param {string} dateString - ISO date string or date string
  * @returns {string} Formatted date string (e.g., "Mon, Jan 15")
  */
@@ -125,7 +265,7 @@ export const formatDate = (dateString) => {
   try {
     if (!dateString) return 'N/A';
 
-    const date = new Date(dateString);
+    const date = toLocalDate(dateString) || new Date(dateString);
     return date.toLocaleDateString('en-US', {
       weekday: 'short',
       month: 'short',
@@ -145,6 +285,10 @@ export const formatDate = (dateString) => {
  */
 export const calculateDaysBetween = (startDate, endDate) => {
   try {
+    if (isValidCalendarDate(startDate) && isValidCalendarDate(endDate)) {
+      return daysBetween(startDate, endDate);
+    }
+
     const start = new Date(startDate);
     const end = new Date(endDate);
     const timeDifference = end.getTime() - start.getTime();
@@ -337,21 +481,3 @@ export const getRelativeTime = (dateString) => {
     return 'N/A';
   }
 };
-
-/**
- * Get airport suggestions for autocomplete
- * @param {string} query - Search query
- * @returns {Promise<Array>} Promise resolving to array of airport suggestions
- */
-export const getAirportSuggestions = async (query) => {
-  try {
-    // Return empty array - no hardcoded airport data
-    // In a real application, this would call an airport API
-    console.log('Airport suggestions requested for:', query);
-    return [];
-
-  } catch (error) {
-    console.error('Airport suggestion error:', error);
-    return [];
-  }
-};
\ No newline at end of file
@@ -0,0 +1,227 @@
+import { daysBetween } from './calendarDate';
+
+/**
+ * Time zone helpers for flight times
+ * Providers send times as airport-local wall-clock strings
+ * ("2027-01-10T08:30:00") and sometimes as instants with an offset
+ * ("2027-01-10T03:00:00Z"). These helpers interpret them in an IANA zone so
+ * times can be shown in each airport's own zone, whatever the browser's is.
+ */
+
+const NAIVE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Intl formatters are expensive to build, so keep one per zone
+const partFormatters = new Map();
+
+/**
+ * Get a formatter that splits instants into wall-clock parts for a zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+const getPartFormatter = (timeZone) => {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return partFormatters.get(timeZone);
+};
+
+/**
+ * Check whether a time string pins an instant (ends in Z or an offset)
+ * @param {string} timeString - ISO date-time
+ * @returns {boolean} True when it carries an offset
+ */
+export const hasUtcOffset = (timeString) => OFFSET_PATTERN.test(timeString);
+
+/**
+ * Check whether an IANA zone name is usable here
+ * @param {string} timeZone - Zone name, e.g. "Asia/Kolkata"
+ * @returns {boolean} True if Intl accepts it
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    getPartFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a zone
+ * @param {number} epochMs - Instant in milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (epochMs, timeZone) => {
+  const parts = {};
+  getPartFormatter(timeZone).formatToParts(new Date(epochMs)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+/**
+ * Offset of a zone from UTC at an instant
+ * @param {string} timeZone - IANA time zone
+ * @param {number} epochMs - Instant in milliseconds since the epoch
+ * @returns {number} Minutes east of UTC, e.g. 330 for Asia/Kolkata
+ */
+export const getTimeZoneOffsetMinutes = (timeZone, epochMs) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(epochMs, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((asUtc - Math.floor(epochMs / 1000) * 1000) / 60000);
+};
+
+/**
+ * Split a wall-clock time string into its parts without involving any zone
+ * @param {string} timeString - "YYYY-MM-DDTHH:mm[:ss]"
+ * @returns {Object|null} { year, month, day, hour, minute, second }, or null if malformed
+ */
+const parseWallClock = (timeString) => {
+  const match = NAIVE_TIME_PATTERN.exec(timeString || '');
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).map(value => parseInt(value || 0, 10));
+  return { year, month, day, hour, minute, second };
+};
+
+/**
+ * Turn a flight time into an instant
+ * Wall-clock strings are read in `timeZone`; strings with an offset already
+ * are instants. Around a DST change the first valid reading wins.
+ * @param {string} timeString - ISO date-time, with or without offset
+ * @param {string} timeZone - IANA zone of the airport the time belongs to
+ * @returns {number|null} Milliseconds since the epoch, or null when it can't be worked out
+ */
+export const toEpochMs = (timeString, timeZone) => {
+  if (!timeString) return null;
+
+  if (hasUtcOffset(timeString)) {
+    const epochMs = Date.parse(timeString);
+    return Number.isNaN(epochMs) ? null : epochMs;
+  }
+
+  const parts = parseWallClock(timeString);
+  if (!parts || !isValidTimeZone(timeZone)) return null;
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  // The zone's offset at the guessed instant can differ from the offset at the
+  // real one across a DST change, so correct once more
+  let epochMs = asUtc - getTimeZoneOffsetMinutes(timeZone, asUtc) * 60000;
+  epochMs = asUtc - getTimeZoneOffsetMinutes(timeZone, epochMs) * 60000;
+  return epochMs;
+};
+
+/**
+ * Wall-clock reading of a flight time in a zone
+ * @param {string} timeString - ISO date-time, with or without offset
+ * @param {string} [timeZone] - IANA zone to read it in; instants fall back to
+ *   the browser's zone when it's missing
+ * @returns {Object|null} { date: 'YYYY-MM-DD', hour, minute }, or null if malformed
+ */
+export const getWallClock = (timeString, timeZone) => {
+  let parts = null;
+
+  if (hasUtcOffset(timeString)) {
+    // Without the airport's zone, the browser's is the best remaining guess
+    const zone = isValidTimeZone(timeZone) ? timeZone : Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const epochMs = toEpochMs(timeString, zone);
+    parts = epochMs === null ? null : getZonedParts(epochMs, zone);
+  } else {
+    // A wall-clock string is already in its airport's zone
+    parts = parseWallClock(timeString);
+  }
+
+  if (!parts) return null;
+
+  const pad = (value) => String(value).padStart(2, '0');
+  return { date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`, hour: parts.hour, minute: parts.minute };
+};
+
+/**
+ * Short label for a zone at an instant
+ * @param {string} timeZone - IANA time zone
+ * @param {number} epochMs - Instant, so daylight saving is reflected
+ * @returns {string} e.g. "EST", "GMT+1" or "GMT+5:30"; empty when unknown
+ */
+export const getTimeZoneLabel = (timeZone, epochMs) => {
+  if (!isValidTimeZone(timeZone) || epochMs === null) return '';
+
+  const zonePart = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(epochMs))
+    .find(part => part.type === 'timeZoneName');
+  return zonePart ? zonePart.value : '';
+};
+
+/**
+ * Everything needed to show one end of a flight in its airport's zone
+ * @param {string} timeString - ISO date-time, with or without offset
+ * @param {string} [timeZone] - IANA zone of the airport
+ * @param {string} [referenceTime] - Departure time to count "+1 day" from
+ * @param {string} [referenceZone] - IANA zone of the departure airport
+ * @returns {Object|null} { time: '2:30 PM', zoneLabel, date, dayOffset }, or null if malformed
+ */
+export const describeFlightTime = (timeString, timeZone, referenceTime, referenceZone) => {
+  const wallClock = getWallClock(timeString, timeZone);
+  if (!wallClock) return null;
+
+  const hour12 = wallClock.hour % 12 || 12;
+  const time = `${hour12}:${String(wallClock.minute).padStart(2, '0')} ${wallClock.hour < 12 ? 'AM' : 'PM'}`;
+
+  const reference = referenceTime ? getWallClock(referenceTime, referenceZone) : null;
+
+  return {
+    time,
+    zoneLabel: getTimeZoneLabel(timeZone, toEpochMs(timeString, timeZone)),
+    date: wallClock.date,
+    dayOffset: reference ? daysBetween(reference.date, wallClock.date) : 0
+  };
+};
+
+/**
+ * Minutes between two flight times, each in its own airport's zone
+ * @param {string} departureTime - Departure date-time
+ * @param {string} departureZone - IANA zone of the departure airport
+ * @param {string} arrivalTime - Arrival date-time
+ * @param {string} arrivalZone - IANA zone of the arrival airport
+ * @returns {number|null} Elapsed minutes, or null when either time can't be placed
+ */
+export const getZonedDurationMinutes = (departureTime, departureZone, arrivalTime, arrivalZone) => {
+  const departure = toEpochMs(departureTime, departureZone);
+  const arrival = toEpochMs(arrivalTime, arrivalZone);
+
+  if (departure === null || arrival === null || arrival < departure) {
+    return null;
+  }
+
+  return Math.round((arrival - departure) / 60000);
+};
+
+/**
+ * Add elapsed minutes to a wall-clock time and read the result in another zone
+ * e.g. 08:00 in Delhi plus 9 hours is 12:30 in London.
+ * @param {string} timeString - Wall-clock "YYYY-MM-DDTHH:mm:ss" in fromZone
+ * @param {string} fromZone - IANA zone the time is in
+ * @param {number} minutes - Elapsed minutes to add
+ * @param {string} toZone - IANA zone to read the result in
+ * @returns {string|null} Wall-clock "YYYY-MM-DDTHH:mm:ss" in toZone, or null when a zone is unknown
+ */
+export const addMinutesAcrossZones = (timeString, fromZone, minutes, toZone) => {
+  const start = toEpochMs(timeString, fromZone);
+  if (start === null || !isValidTimeZone(toZone)) return null;
+
+  const { year, month, day, hour, minute, second } = getZonedParts(start + minutes * 60000, toZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+};